@@ -1,25 +1,176 @@
 /**
  * Codebusters Cipher Game
  * Multi-cipher practice tool for Science Olympiad Codebusters
- * Supports: Aristocrat, Patristocrat, and Baconian ciphers
+ * Supports: Aristocrat, Patristocrat, Xenocrypt (Spanish), Baconian, Fractionated Morse, Porta, Hill,
+ * Complete Columnar Transposition, Nihilist, and 5x5 Checkerboard ciphers, plus Cryptarithms
  */
 
+const ENGLISH_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+// 5x5 Polybius squares merge I and J
+const POLYBIUS_ALPHABET = 'ABCDEFGHIKLMNOPQRSTUVWXYZ';
+const SPANISH_ALPHABET = 'ABCDEFGHIJKLMNÑOPQRSTUVWXYZ';
+
+// Letter frequencies in percent, used to judge how unusual a quote's letter counts are
+const LETTER_FREQUENCIES = {
+    english: {
+        A: 8.2, B: 1.5, C: 2.8, D: 4.3, E: 12.7, F: 2.2, G: 2.0, H: 6.1, I: 7.0, J: 0.15, K: 0.77, L: 4.0, M: 2.4,
+        N: 6.7, O: 7.5, P: 1.9, Q: 0.1, R: 6.0, S: 6.3, T: 9.1, U: 2.8, V: 0.98, W: 2.4, X: 0.15, Y: 2.0, Z: 0.07
+    },
+    spanish: {
+        A: 12.5, B: 1.4, C: 4.7, D: 5.9, E: 13.7, F: 0.7, G: 1.0, H: 0.7, I: 6.3, J: 0.4, K: 0.01, L: 5.0, M: 3.2, N: 6.7,
+        Ñ: 0.3, O: 8.7, P: 2.5, Q: 0.9, R: 6.9, S: 8.0, T: 4.6, U: 3.9, V: 0.9, W: 0.01, X: 0.2, Y: 0.9, Z: 0.5
+    }
+};
+
+// Most frequent English digraphs and trigraphs, most common first, shown beside the cipher's own
+const COMMON_DIGRAPHS = ['TH', 'HE', 'IN', 'ER', 'AN', 'RE', 'ND', 'ON', 'EN', 'AT', 'OU', 'ED'];
+const COMMON_TRIGRAPHS = ['THE', 'AND', 'ING', 'HER', 'ENT', 'ION', 'THA', 'FOR', 'NTH', 'INT', 'ERE', 'TIO'];
+// Steps the candidate-key search may take before settling for the best fit so far
+const ANALYSIS_SEARCH_LIMIT = 20000;
+// Milliseconds of quiet typing before the sidebar is reworked; the search is too slow for every keystroke
+const ANALYSIS_REFRESH_DELAY = 300;
+
+// Spanish accented vowels fold to their base letter; Ñ is a letter of its own
+const SPANISH_ACCENT_FOLDS = { 'Á': 'A', 'É': 'E', 'Í': 'I', 'Ó': 'O', 'Ú': 'U', 'Ü': 'U' };
+
+// Cipher modes offered in the selector. quoteTag picks which tagged quotes in
+// codebustersQuotes.json a mode draws from (null for puzzles built without a quote),
+// maxLetters keeps hand-worked ciphers short, name overrides label in the heading, and points
+// is the base value of the question in a mock test.
+const CIPHER_TYPES = {
+    aristocrat: { label: 'Aristocrat', quoteTag: 'aristocrat', points: 200 },
+    patristocrat: { label: 'Patristocrat', quoteTag: 'patristocrat', points: 400 },
+    xenocrypt: { label: 'Xenocrypt (Spanish)', name: 'Xenocrypt', quoteTag: 'xenocrypt', points: 300 },
+    baconian: { label: 'Baconian', quoteTag: 'baconian', points: 250 },
+    fractionatedmorse: { label: 'Fractionated Morse', quoteTag: 'aristocrat', points: 300 },
+    porta: { label: 'Porta', quoteTag: 'aristocrat', points: 200 },
+    portacrib: { label: 'Porta (Cryptanalysis with Crib)', name: 'Porta Cryptanalysis', quoteTag: 'aristocrat', points: 300 },
+    hill2x2: { label: 'Hill (2x2 Encryption Matrix)', name: 'Hill 2x2', quoteTag: 'aristocrat', maxLetters: 30, points: 200 },
+    hill3x3: { label: 'Hill (3x3 Decryption Matrix)', name: 'Hill 3x3', quoteTag: 'aristocrat', maxLetters: 36, points: 300 },
+    columnar: { label: 'Complete Columnar (≤9 Columns)', name: 'Complete Columnar Transposition', quoteTag: 'aristocrat', maxLetters: 70, points: 250 },
+    columnarcrib: { label: 'Complete Columnar (Cryptanalysis, ≤11 Columns)', name: 'Columnar Cryptanalysis', quoteTag: 'aristocrat', maxLetters: 70, points: 350 },
+    nihilist: { label: 'Nihilist', quoteTag: 'aristocrat', maxLetters: 70, points: 250 },
+    nihilistcrib: { label: 'Nihilist (Cryptanalysis with Crib)', name: 'Nihilist Cryptanalysis', quoteTag: 'aristocrat', maxLetters: 70, points: 350 },
+    checkerboard: { label: '5x5 Checkerboard', name: 'Checkerboard', quoteTag: 'aristocrat', points: 250 },
+    checkerboardcrib: { label: '5x5 Checkerboard (Cryptanalysis)', name: 'Checkerboard Cryptanalysis', quoteTag: 'aristocrat', points: 350 },
+    cryptarithm: { label: 'Cryptarithm', quoteTag: null, points: 300 }
+};
+
+// Official scoring for mock tests: two wrong letters per question are free, every further error
+// costs 100 points, and solving the first (timed) question early earns 4 points per second under 10 minutes
+const TEST_ERROR_ALLOWANCE = 2;
+const TEST_ERROR_PENALTY = 100;
+const TIMED_QUESTION_SECONDS = 600;
+const TIMED_QUESTION_BONUS_PER_SECOND = 4;
+// Hints a student can take while solving; every use takes its penalty off the question's score
+const HINT_TYPES = {
+    letter: { label: 'Reveal a Letter', penalty: 25 },
+    frequent: { label: 'Reveal Most Frequent Letter', penalty: 50 },
+    word: { label: 'Reveal a Word', penalty: 75 },
+    baconian: { label: 'Show A/B Grouping', penalty: 50 }
+};
+// How much each quote feature counts towards its computed difficulty; the weights add up to 1
+const QUOTE_DIFFICULTY_WEIGHTS = {
+    length: 0.2,
+    uniqueLetters: 0.2,
+    frequency: 0.15,
+    shortWords: 0.15,
+    patternWords: 0.15,
+    singletons: 0.15
+};
+// Lowest score for 2, 3, 4 and 5 stars, set so the built-in quote bank spreads across the range
+const QUOTE_DIFFICULTY_STARS = [0.3, 0.37, 0.45, 0.52];
+// Most recent solves kept in the stats history
+const SOLVE_HISTORY_LIMIT = 500;
+const TEST_SETTINGS_DEFAULTS = { questionCount: 10, minutes: 50, types: Object.keys(CIPHER_TYPES) };
+
+// Tags a quote can carry in codebustersQuotes.json; modes without a tag of their own use Aristocrat quotes
+const QUOTE_TAGS = [...new Set(Object.values(CIPHER_TYPES).map(info => info.quoteTag).filter(Boolean))];
+// Length limits for quotes written by coaches
+const CUSTOM_QUOTE_MIN_LETTERS = 10;
+const CUSTOM_QUOTE_MAX_LETTERS = 150;
+const CUSTOM_QUOTE_MAX_LENGTH = 250;
+
+const CRYPTARITHM_OPERATORS = { add: '+', subtract: '−', multiply: '×' };
+
+// Substitution alphabets for Aristocrats and Patristocrats. K1 keys the plaintext alphabet,
+// K2 the ciphertext alphabet, and K3 both with the same keyword
+const ALPHABET_TYPES = {
+    random: 'Random',
+    k1: 'K1 Keyword',
+    k2: 'K2 Keyword',
+    k3: 'K3 Keyword'
+};
+
+// Patristocrat layouts. Official tests strip everything but letters and print 5-letter groups;
+// a group size of 0 runs the letters together
+const PATRISTOCRAT_FORMATS = {
+    groups5: { label: '5-letter groups', groupSize: 5 },
+    groups4: { label: '4-letter groups', groupSize: 4 },
+    groups6: { label: '6-letter groups', groupSize: 6 },
+    continuous: { label: 'Continuous', groupSize: 0 }
+};
+
+const MORSE_CODE = {
+    'A': '.-', 'B': '-...', 'C': '-.-.', 'D': '-..', 'E': '.', 'F': '..-.',
+    'G': '--.', 'H': '....', 'I': '..', 'J': '.---', 'K': '-.-', 'L': '.-..',
+    'M': '--', 'N': '-.', 'O': '---', 'P': '.--.', 'Q': '--.-', 'R': '.-.',
+    'S': '...', 'T': '-', 'U': '..-', 'V': '...-', 'W': '.--', 'X': '-..-',
+    'Y': '-.--', 'Z': '--..'
+};
+
+// The 26 Fractionated Morse triplets in standard table order; 'xxx' can never occur
+const MORSE_SYMBOLS = ['.', '-', 'x'];
+const MORSE_TRIPLETS = MORSE_SYMBOLS
+    .flatMap(a => MORSE_SYMBOLS.flatMap(b => MORSE_SYMBOLS.map(c => a + b + c)))
+    .filter(triplet => triplet !== 'xxx');
+
 class CodebustersCipherGame {
     constructor(containerId) {
         this.container = document.getElementById(containerId);
         this.quotes = [];
+        this.keywords = [];
+        this.dictionary = [];
+        this.patternIndex = null;
         this.currentQuote = null;
         this.currentCipher = null;
         this.userSolution = new Map();
         this.usedQuotes = new Set();
         this.timerInterval = null;
+        this.analysisRefreshTimeout = null;
         this.isPaused = false;
         this.elapsedSeconds = 0;
         this.validationState = null;
         this.autoHighlightEnabled = false;
+        this.testSession = null;
+        this.testSettings = this.loadTestSettings();
+        this.quoteAnalysis = new Map();
+        this.customQuotes = this.loadCustomQuotes();
+        this.quoteFilters = this.loadQuoteFilters();
+        this.quoteFiltersOpen = false;
+        this.checkCount = 0;
+        this.wrongAnswers = new Set();
+        this.solveRecorded = false;
+        this.hintsUsed = [];
+        // Column count and order in the Complete Columnar workspace; layout only, never graded
+        this.columnarLayout = {};
+        this.seededRandom = null;
+        this.currentSeed = null;
+
+        // Refreshing or closing the page keeps the puzzle in progress
+        window.addEventListener('pagehide', () => this.saveProgress());
+        window.addEventListener('hashchange', () => this.loadSharedPuzzle(window.location.hash));
         
         // Load cipher type from localStorage or default to aristocrat
-        this.cipherType = localStorage.getItem('codebustersCipherType') || 'aristocrat';
+        const savedType = localStorage.getItem('codebustersCipherType');
+        this.cipherType = CIPHER_TYPES[savedType] ? savedType : 'aristocrat';
+
+        const savedAlphabetType = localStorage.getItem('codebustersAlphabetType');
+        this.alphabetType = ALPHABET_TYPES[savedAlphabetType] ? savedAlphabetType : 'random';
+        this.askForKeyword = localStorage.getItem('codebustersAskForKeyword') === 'true';
+        const savedPatristocratFormat = localStorage.getItem('codebustersPatristocratFormat');
+        this.patristocratFormat = PATRISTOCRAT_FORMATS[savedPatristocratFormat] ? savedPatristocratFormat : 'groups5';
+        this.showAnalysis = localStorage.getItem('codebustersShowAnalysis') === 'true';
         
         this.init();
     }
@@ -32,9 +183,20 @@ class CodebustersCipherGame {
             }
             const data = await response.json();
             this.allQuotes = data.quotes;
+            this.keywords = data.keywords || [];
+            this.dictionary = data.dictionary || [];
             
             this.filterQuotesByCipherType();
-            this.generateNewCipher();
+
+            // A share link takes priority over resuming the last puzzle
+            if (!this.loadSharedPuzzle(window.location.hash)) {
+                const progress = this.loadProgress();
+                if (progress) {
+                    this.showResumePrompt(progress);
+                } else {
+                    this.generateNewCipher();
+                }
+            }
         } catch (error) {
             console.error('Failed to load quotes:', error);
             this.container.innerHTML = '<p style="color: red;">Error loading quotes: ' + error.message + '</p>';
@@ -42,9 +204,15 @@ class CodebustersCipherGame {
     }
 
     filterQuotesByCipherType() {
-        const typeKey = this.cipherType.toLowerCase();
-        this.quotes = this.allQuotes.filter(q => 
-            q.cipherTypes && q.cipherTypes.includes(typeKey)
+        const { quoteTag, maxLetters } = CIPHER_TYPES[this.cipherType];
+        if (!quoteTag) {
+            this.quotes = [];
+            return;
+        }
+
+        this.quotes = [...this.allQuotes, ...this.customQuotes].filter(q => 
+            q.cipherTypes && q.cipherTypes.includes(quoteTag) &&
+            (!maxLetters || q.quote.replace(/[^A-Za-z]/g, '').length <= maxLetters)
         );
         
         if (this.quotes.length === 0) {
@@ -53,64 +221,1672 @@ class CodebustersCipherGame {
         }
     }
 
-    changeCipherType(newType) {
-        this.cipherType = newType;
-        localStorage.setItem('codebustersCipherType', newType);
-        this.usedQuotes.clear();
-        this.filterQuotesByCipherType();
-        this.generateNewCipher();
+    changeCipherType(newType) {
+        this.cipherType = newType;
+        localStorage.setItem('codebustersCipherType', newType);
+        this.usedQuotes.clear();
+        this.filterQuotesByCipherType();
+        this.generateNewCipher();
+    }
+
+    changeAlphabetType(newType) {
+        this.alphabetType = newType;
+        localStorage.setItem('codebustersAlphabetType', newType);
+        this.generateNewCipher();
+    }
+
+    toggleAskForKeyword(enabled) {
+        this.askForKeyword = enabled;
+        localStorage.setItem('codebustersAskForKeyword', String(enabled));
+        this.generateNewCipher();
+    }
+
+    // Only the layout changes, so the puzzle and the letters entered so far are kept
+    changePatristocratFormat(format) {
+        this.patristocratFormat = format;
+        localStorage.setItem('codebustersPatristocratFormat', format);
+        this.currentCipher.ciphertext = this.formatPatristocratCiphertext(this.currentCipher.plaintext, this.currentCipher.mapping);
+        this.currentCipher.groupSize = PATRISTOCRAT_FORMATS[format].groupSize;
+        this.render();
+        this.saveProgress();
+    }
+
+    changeQuoteFilters(changes) {
+        this.quoteFilters = this.normalizeQuoteFilters({ ...this.quoteFilters, ...changes });
+        localStorage.setItem('codebustersQuoteFilters', JSON.stringify(this.quoteFilters));
+        this.usedQuotes.clear();
+        this.generateNewCipher();
+    }
+
+    // Aristocrats and Patristocrats can use keyword alphabets instead of a random shuffle
+    usesKeyedAlphabets() {
+        return this.cipherType === 'aristocrat' || this.cipherType === 'patristocrat';
+    }
+
+    // Substitution ciphers get a letter frequency count like the official answer sheet
+    usesFrequencyTable() {
+        return ['aristocrat', 'patristocrat', 'xenocrypt'].includes(this.cipherType);
+    }
+
+    // How often each cipher-alphabet letter appears in the ciphertext, in alphabet order
+    getLetterFrequencies() {
+        const alphabet = this.cipherType === 'xenocrypt' ? SPANISH_ALPHABET : ENGLISH_ALPHABET;
+        const frequencies = {};
+        for (const letter of alphabet) {
+            frequencies[letter] = 0;
+        }
+        for (const char of this.currentCipher.ciphertext) {
+            if (char in frequencies) frequencies[char]++;
+        }
+        return frequencies;
+    }
+
+    // The cryptanalysis sidebar coaches English substitution ciphers
+    usesAnalysis() {
+        return this.cipherType === 'aristocrat' || this.cipherType === 'patristocrat';
+    }
+
+    toggleAnalysis() {
+        this.showAnalysis = !this.showAnalysis;
+        localStorage.setItem('codebustersShowAnalysis', String(this.showAnalysis));
+        this.render();
+    }
+
+    // Letter-repetition shape of a word, e.g. THAT and KEEK both become ABCA
+    getWordPattern(word) {
+        const seen = new Map();
+        return [...word].map(letter => {
+            if (!seen.has(letter)) seen.set(letter, String.fromCharCode(65 + seen.size));
+            return seen.get(letter);
+        }).join('');
+    }
+
+    // Dictionary words that fit a cipher word's pattern without mapping a letter to itself and
+    // without contradicting the letters already entered (known maps cipher letter to plain letter)
+    getPatternMatches(cipherWord, known) {
+        if (!this.patternIndex) {
+            this.patternIndex = new Map();
+            this.dictionary.forEach(word => {
+                const pattern = this.getWordPattern(word);
+                if (!this.patternIndex.has(pattern)) this.patternIndex.set(pattern, []);
+                this.patternIndex.get(pattern).push(word);
+            });
+        }
+
+        const claimed = new Map([...known].map(([cipher, plain]) => [plain, cipher]));
+        return (this.patternIndex.get(this.getWordPattern(cipherWord)) || []).filter(word =>
+            [...word].every((plain, i) => {
+                const cipher = cipherWord[i];
+                if (plain === cipher) return false;
+                if (known.has(cipher)) return known.get(cipher) === plain;
+                return !claimed.has(plain);
+            })
+        );
+    }
+
+    // Everything the sidebar shows, worked out from currentCipher.ciphertext and the entries so far
+    analyzeCiphertext() {
+        const known = new Map();
+        this.userSolution.forEach((plain, cipher) => {
+            if (ENGLISH_ALPHABET.includes(cipher) && ENGLISH_ALPHABET.includes(plain)) known.set(cipher, plain);
+        });
+
+        // Patristocrat word breaks are hidden, so its letters are read as one run
+        const hasWords = this.cipherType === 'aristocrat';
+        const words = this.parseIntoWords(this.currentCipher.ciphertext)
+            .map(word => [...word.text].filter(char => ENGLISH_ALPHABET.includes(char)).join(''))
+            .filter(word => word.length > 0);
+        const runs = hasWords ? words : [words.join('')];
+
+        const countGrams = size => {
+            const counts = new Map();
+            runs.forEach(run => {
+                for (let i = 0; i + size <= run.length; i++) {
+                    const gram = run.slice(i, i + size);
+                    counts.set(gram, (counts.get(gram) || 0) + 1);
+                }
+            });
+            return [...counts].filter(([, count]) => count > 1).sort((a, b) => b[1] - a[1]).slice(0, 8);
+        };
+
+        const patternWords = hasWords
+            ? [...new Set(words.filter(word => word.length > 1))].map(word => ({ cipher: word, matches: this.getPatternMatches(word, known) }))
+            : [];
+        const singles = new Map();
+        if (hasWords) {
+            words.filter(word => word.length === 1).forEach(word => singles.set(word, (singles.get(word) || 0) + 1));
+        }
+
+        return {
+            known: known,
+            patternWords: patternWords,
+            digraphs: countGrams(2),
+            trigraphs: countGrams(3),
+            singles: [...singles].sort((a, b) => b[1] - a[1]),
+            candidate: this.getCandidateMapping(patternWords, known)
+        };
+    }
+
+    // Guess a full key: the best joint fit of dictionary words to the cipher words, then whatever
+    // is left paired up by frequency order. Letters the student has entered are kept as they are.
+    getCandidateMapping(patternWords, known) {
+        const mapping = new Map([...known].map(([cipher, plain]) => [cipher, { plain, source: 'entered' }]));
+        const used = new Set(known.values());
+        const assign = (cipher, plain, source) => {
+            if (mapping.has(cipher) || used.has(plain) || cipher === plain) return false;
+            mapping.set(cipher, { plain, source });
+            used.add(plain);
+            return true;
+        };
+
+        this.fitPatternWords(patternWords, known).forEach((plain, cipher) => assign(cipher, plain, 'pattern'));
+
+        const frequencies = this.getLetterFrequencies();
+        const englishOrder = Object.keys(LETTER_FREQUENCIES.english)
+            .sort((a, b) => LETTER_FREQUENCIES.english[b] - LETTER_FREQUENCIES.english[a]);
+        Object.keys(frequencies)
+            .filter(cipher => frequencies[cipher] > 0)
+            .sort((a, b) => frequencies[b] - frequencies[a])
+            .forEach(cipher => englishOrder.some(plain => assign(cipher, plain, 'frequency')));
+
+        return mapping;
+    }
+
+    // Branch-and-bound search for the dictionary words that together explain the most ciphertext
+    // letters, trying the cipher words with the fewest matches first. Any word may be left
+    // unmatched (names, rare words), and the search keeps its best fit once the step limit is hit.
+    fitPatternWords(patternWords, known) {
+        const occurrences = new Map();
+        this.parseIntoWords(this.currentCipher.ciphertext).forEach(word => {
+            const letters = [...word.text].filter(char => ENGLISH_ALPHABET.includes(char)).join('');
+            occurrences.set(letters, (occurrences.get(letters) || 0) + 1);
+        });
+        const words = patternWords
+            .filter(word => word.matches.length > 0)
+            .map(word => ({ ...word, weight: word.cipher.length * (occurrences.get(word.cipher) || 1) }))
+            .sort((a, b) => a.matches.length - b.matches.length);
+        const remaining = words.map((_, i) => words.slice(i).reduce((sum, word) => sum + word.weight, 0));
+
+        const mapping = new Map(known);
+        const used = new Map([...known].map(([cipher, plain]) => [plain, cipher]));
+        const fits = (cipher, word) => [...word].every((plain, i) =>
+            plain !== cipher[i] && (mapping.has(cipher[i]) ? mapping.get(cipher[i]) === plain : !used.has(plain)));
+        let best = { score: -1, mapping: new Map(known) };
+        let steps = 0;
+
+        const search = (index, score) => {
+            if (++steps > ANALYSIS_SEARCH_LIMIT) return;
+            if (index === words.length) {
+                if (score > best.score) best = { score, mapping: new Map(mapping) };
+                return;
+            }
+            if (score + remaining[index] <= best.score) return;
+
+            const { cipher, matches, weight } = words[index];
+            for (const word of matches) {
+                if (!fits(cipher, word)) continue;
+                const added = [];
+                [...cipher].forEach((letter, i) => {
+                    if (!mapping.has(letter)) {
+                        mapping.set(letter, word[i]);
+                        used.set(word[i], letter);
+                        added.push(letter);
+                    }
+                });
+                search(index + 1, score + weight);
+                added.forEach(letter => {
+                    used.delete(mapping.get(letter));
+                    mapping.delete(letter);
+                });
+                if (steps > ANALYSIS_SEARCH_LIMIT) return;
+            }
+            search(index + 1, score);
+        };
+        search(0, 0);
+
+        return best.mapping;
+    }
+
+    generateNewCipher({ seed = this.createSeed(), quote = null, puzzle = this.createPuzzle(seed, quote) } = {}) {
+        const cipher = puzzle.cipher;
+        quote = puzzle.quote;
+
+        this.currentSeed = seed;
+        this.currentQuote = quote;
+        this.currentCipher = cipher;
+        this.userSolution = new Map();
+        this.validationState = null;
+        this.elapsedSeconds = 0;
+        this.isPaused = false;
+        this.checkCount = 0;
+        this.wrongAnswers = new Set();
+        this.solveRecorded = false;
+        this.hintsUsed = [];
+        this.columnarLayout = {};
+
+        this.render();
+        this.startTimer();
+        this.saveProgress();
+    }
+
+    // Store the practice puzzle and everything entered so far; mock tests aren't saved
+    saveProgress() {
+        if (this.testSession || !this.currentCipher) return;
+
+        if (this.validationState === 'solved') {
+            localStorage.removeItem('codebustersProgress');
+            return;
+        }
+
+        localStorage.setItem('codebustersProgress', JSON.stringify({
+            savedAt: Date.now(),
+            cipherType: this.cipherType,
+            currentQuote: this.currentQuote,
+            currentCipher: this.currentCipher,
+            userSolution: Array.from(this.userSolution.entries()),
+            elapsedSeconds: this.elapsedSeconds,
+            isPaused: this.isPaused,
+            checkCount: this.checkCount,
+            wrongAnswers: Array.from(this.wrongAnswers),
+            hintsUsed: this.hintsUsed,
+            columnarLayout: this.columnarLayout,
+            seed: this.currentSeed
+        }));
+    }
+
+    loadProgress() {
+        try {
+            const progress = JSON.parse(localStorage.getItem('codebustersProgress'));
+            if (!progress || !CIPHER_TYPES[progress.cipherType] || !progress.currentCipher || !progress.currentQuote) {
+                return null;
+            }
+            return progress;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    showResumePrompt(progress) {
+        const name = CIPHER_TYPES[progress.cipherType].name || CIPHER_TYPES[progress.cipherType].label;
+        const filled = progress.userSolution.length;
+
+        this.container.innerHTML = `
+            <div class="cipher-container">
+                <div class="test-setup">
+                    <h2>Resume Your Cipher?</h2>
+                    <p class="hint">
+                        You have an unfinished ${name} cipher from ${new Date(progress.savedAt).toLocaleString()}
+                        (${this.formatTime(progress.elapsedSeconds)} on the clock, ${filled} ${filled === 1 ? 'entry' : 'entries'} filled in).
+                    </p>
+                    <div class="cipher-buttons">
+                        <button id="resumeBtn" class="btn btn-primary">Resume</button>
+                        <button id="startNewBtn" class="btn btn-secondary">Start New</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        this.container.querySelector('#resumeBtn').addEventListener('click', () => this.restoreProgress(progress));
+        this.container.querySelector('#startNewBtn').addEventListener('click', () => {
+            localStorage.removeItem('codebustersProgress');
+            this.generateNewCipher();
+        });
+    }
+
+    restoreProgress(progress) {
+        if (progress.cipherType !== this.cipherType) {
+            this.cipherType = progress.cipherType;
+            localStorage.setItem('codebustersCipherType', progress.cipherType);
+            this.filterQuotesByCipherType();
+        }
+
+        this.currentSeed = progress.seed ?? null;
+        this.currentQuote = progress.currentQuote;
+        this.currentCipher = progress.currentCipher;
+        this.userSolution = new Map(progress.userSolution);
+        this.usedQuotes.add(JSON.stringify(progress.currentQuote));
+        this.validationState = null;
+        this.elapsedSeconds = progress.elapsedSeconds;
+        this.checkCount = progress.checkCount || 0;
+        this.wrongAnswers = new Set(progress.wrongAnswers || []);
+        this.hintsUsed = progress.hintsUsed || [];
+        this.columnarLayout = progress.columnarLayout || {};
+        this.solveRecorded = false;
+        this.isPaused = false;
+
+        this.render();
+        if (progress.isPaused) {
+            this.togglePause();
+        }
+        this.startTimer();
+    }
+
+    // Pick a quote for the current cipher type and encrypt it. Everything after the quote is
+    // drawn from the seeded generator, so the same seed and quote rebuild the same cipher.
+    createPuzzle(seed = this.createSeed(), quote = null) {
+        let cipher = null;
+
+        if (this.cipherType === 'cryptarithm') {
+            // Cryptarithms are built from dictionary words and carry their own header details
+            this.seededRandom = this.createSeededRandom(seed);
+            try {
+                cipher = this.createCryptarithm();
+            } finally {
+                this.seededRandom = null;
+            }
+            quote = cipher.quote;
+        } else {
+            quote = quote || this.getRandomUnusedQuote();
+
+            // Keep trying to generate a cipher with no identity mappings
+            this.seededRandom = this.createSeededRandom(seed);
+            try {
+                let attempts = 0;
+                do {
+                    cipher = this.createCipher(quote.quote, this.cipherType);
+                    attempts++;
+                } while (this.hasCipherIdentityMappings(cipher) && attempts < 100);
+            } finally {
+                this.seededRandom = null;
+            }
+
+            // Add to used set and remove oldest if over limit
+            this.usedQuotes.add(JSON.stringify(quote));
+            if (this.usedQuotes.size > Math.max(5, this.quotes.length - 3)) {
+                const oldestUsed = Array.from(this.usedQuotes)[0];
+                this.usedQuotes.delete(oldestUsed);
+            }
+        }
+
+        return { quote, cipher };
+    }
+
+    // Random number in [0, 1): seeded while a puzzle is being built, Math.random otherwise
+    random() {
+        return this.seededRandom ? this.seededRandom() : Math.random();
+    }
+
+    createSeed() {
+        return Math.floor(Math.random() * 2 ** 32);
+    }
+
+    // mulberry32, a small 32-bit PRNG that is plenty for shuffling puzzles
+    createSeededRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Link hash that rebuilds the current puzzle: cipher type, quote, seed and alphabet options.
+    // The options are read from the cipher, which may come from a link rather than the settings
+    getShareHash() {
+        const cipher = this.currentCipher;
+        const params = new URLSearchParams({ type: this.cipherType, seed: this.currentSeed.toString(36) });
+        if (CIPHER_TYPES[this.cipherType].quoteTag) {
+            params.set('quote', this.getQuoteId(this.currentQuote));
+        }
+        if (this.usesKeyedAlphabets()) {
+            params.set('alphabet', cipher.alphabetType || 'random');
+            params.set('keyword', cipher.keyAnswers?.length ? '1' : '0');
+        }
+        if (this.cipherType === 'patristocrat') {
+            const format = Object.keys(PATRISTOCRAT_FORMATS).find(key => PATRISTOCRAT_FORMATS[key].groupSize === cipher.groupSize);
+            params.set('format', format || this.patristocratFormat);
+        }
+        return params.toString();
+    }
+
+    // Short id taken from a quote's text (FNV-1a), so links keep working when quotes are added
+    // to or removed from codebustersQuotes.json
+    getQuoteId(quote) {
+        let hash = 0x811C9DC5;
+        for (const char of quote.quote) {
+            hash = Math.imul(hash ^ char.codePointAt(0), 0x01000193) >>> 0;
+        }
+        return hash.toString(36);
+    }
+
+    // Links can only name quotes from the shared bank, not a coach's own quotes
+    canShare() {
+        if (this.currentSeed === null) return false;
+        return !CIPHER_TYPES[this.cipherType].quoteTag || this.allQuotes.some(q => q.quote === this.currentQuote.quote);
+    }
+
+    shareCurrentPuzzle() {
+        const url = `${window.location.origin}${window.location.pathname}${window.location.search}#${this.getShareHash()}`;
+        const feedbackEl = this.container.querySelector('#feedback');
+
+        feedbackEl.innerHTML = `
+            <div class="share-link">
+                <label for="shareLinkInput">Share this link so everyone gets the same puzzle:</label>
+                <input type="text" id="shareLinkInput" value="${this.escapeHtml(url)}" readonly>
+                <span id="shareLinkStatus"></span>
+            </div>
+        `;
+        feedbackEl.style.display = 'block';
+
+        const input = feedbackEl.querySelector('#shareLinkInput');
+        input.addEventListener('focus', () => input.select());
+        navigator.clipboard?.writeText(url)
+            .then(() => { feedbackEl.querySelector('#shareLinkStatus').textContent = 'Copied!'; })
+            .catch(() => input.select());
+    }
+
+    // Rebuild a puzzle from a share link; returns false if the hash isn't one
+    loadSharedPuzzle(hash) {
+        if (this.testSession || !hash || hash.length < 2) return false;
+
+        const params = new URLSearchParams(hash.slice(1));
+        const type = params.get('type');
+        const seed = parseInt(params.get('seed'), 36);
+        if (!CIPHER_TYPES[type] || !Number.isFinite(seed)) return false;
+
+        let quote = null;
+        const { quoteTag } = CIPHER_TYPES[type];
+        if (quoteTag) {
+            const id = params.get('quote');
+            quote = id && this.allQuotes.find(q => q.cipherTypes?.includes(quoteTag) && this.getQuoteId(q) === id);
+            if (!quote) return false;
+        }
+
+        this.cipherType = type;
+        this.filterQuotesByCipherType();
+
+        // The link's options build this one puzzle; the student's own settings come back for the next
+        const settings = { alphabetType: this.alphabetType, askForKeyword: this.askForKeyword, patristocratFormat: this.patristocratFormat };
+        if (ALPHABET_TYPES[params.get('alphabet')]) {
+            this.alphabetType = params.get('alphabet');
+        }
+        this.askForKeyword = params.get('keyword') === '1';
+        if (PATRISTOCRAT_FORMATS[params.get('format')]) {
+            this.patristocratFormat = params.get('format');
+        }
+        let puzzle;
+        try {
+            puzzle = this.createPuzzle(seed, quote);
+        } finally {
+            Object.assign(this, settings);
+        }
+        this.generateNewCipher({ seed, puzzle });
+
+        // Drop the hash so a refresh resumes this attempt instead of starting it over
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+        return true;
+    }
+
+    getRandomUnusedQuote() {
+        let attempts = 0;
+        let quote;
+        
+        const quotes = this.getFilteredQuotes();
+        
+        do {
+            quote = quotes[Math.floor(Math.random() * quotes.length)];
+            attempts++;
+        } while (this.usedQuotes.has(JSON.stringify(quote)) && attempts < 50);
+
+        return quote;
+    }
+
+    // Quotes for the current cipher type that pass the quote filters; if none do, the filters
+    // are ignored rather than leaving nothing to play
+    getFilteredQuotes() {
+        const filtered = this.quotes.filter(quote => this.matchesQuoteFilters(quote));
+
+        if (filtered.length === 0) {
+            console.warn(`No ${this.cipherType} quotes match the quote filters; ignoring them`);
+            return this.quotes;
+        }
+        return filtered;
+    }
+
+    matchesQuoteFilters(quote) {
+        const { minStars, maxStars, minLetters, maxLetters, search } = this.quoteFilters;
+        const stars = this.getQuoteDifficulty(quote);
+        const letters = this.countQuoteLetters(quote);
+        const text = `${quote.author || ''} ${quote.hint || ''} ${quote.quote}`.toLowerCase();
+
+        return stars >= minStars && stars <= maxStars &&
+            (minLetters === null || letters >= minLetters) &&
+            (maxLetters === null || letters <= maxLetters) &&
+            (search === '' || text.includes(search.toLowerCase()));
+    }
+
+    hasActiveQuoteFilters() {
+        const { minStars, maxStars, minLetters, maxLetters, search } = this.quoteFilters;
+        return minStars > 1 || maxStars < 5 || minLetters !== null || maxLetters !== null || search !== '';
+    }
+
+    countQuoteLetters(quote) {
+        return (quote.quote.match(/\p{L}/gu) || []).length;
+    }
+
+    loadQuoteFilters() {
+        try {
+            return this.normalizeQuoteFilters(JSON.parse(localStorage.getItem('codebustersQuoteFilters')) || {});
+        } catch (error) {
+            return this.normalizeQuoteFilters({});
+        }
+    }
+
+    // Fill in defaults and put each range in order; an empty letter bound means no limit
+    normalizeQuoteFilters(filters) {
+        const starBound = (value, fallback) => Math.min(5, Math.max(1, parseInt(value, 10) || fallback));
+        const letterBound = value => {
+            const letters = parseInt(value, 10);
+            return letters > 0 ? letters : null;
+        };
+        let minStars = starBound(filters.minStars, 1);
+        let maxStars = starBound(filters.maxStars, 5);
+        let minLetters = letterBound(filters.minLetters);
+        let maxLetters = letterBound(filters.maxLetters);
+
+        if (minStars > maxStars) [minStars, maxStars] = [maxStars, minStars];
+        if (minLetters !== null && maxLetters !== null && minLetters > maxLetters) {
+            [minLetters, maxLetters] = [maxLetters, minLetters];
+        }
+
+        return {
+            minStars,
+            maxStars,
+            minLetters,
+            maxLetters,
+            search: typeof filters.search === 'string' ? filters.search.trim() : ''
+        };
+    }
+
+    // Stars shown for a quote: computed from the text; cryptarithms come rated by their operation
+    getQuoteDifficulty(quote = this.currentQuote) {
+        return quote.cipherTypes?.includes('cryptarithm') ? quote.difficulty : this.analyzeQuote(quote).stars;
+    }
+
+    // Rate how hard a quote is to crack as a substitution cipher. Every feature is scaled to 0-1,
+    // higher meaning harder, and the weighted sum is mapped onto 1-5 stars.
+    analyzeQuote(quote) {
+        const cached = this.quoteAnalysis.get(quote.quote);
+        if (cached) return cached;
+
+        const spanish = Array.isArray(quote.cipherTypes) && quote.cipherTypes.length > 0 &&
+            quote.cipherTypes.every(tag => tag === 'xenocrypt');
+        const alphabet = spanish ? SPANISH_ALPHABET : ENGLISH_ALPHABET;
+        const expected = LETTER_FREQUENCIES[spanish ? 'spanish' : 'english'];
+        const text = spanish ? this.foldSpanishAccents(quote.quote) : quote.quote.toUpperCase();
+        const words = text.split(/\s+/)
+            .map(word => [...word].filter(char => alphabet.includes(char)).join(''))
+            .filter(word => word.length > 0);
+        const letters = words.join('');
+
+        const counts = {};
+        for (const letter of letters) {
+            counts[letter] = (counts[letter] || 0) + 1;
+        }
+        const unique = Object.keys(counts).length;
+        // Share of the text that would have to move to match normal letter frequencies
+        const unusual = [...alphabet].reduce((sum, letter) =>
+            sum + Math.abs((counts[letter] || 0) / Math.max(1, letters.length) - expected[letter] / 100), 0) / 2;
+        // Short words (A, I, THE, AND...) and words with repeated letters (THAT, PEOPLE) give footholds
+        const shortWords = words.filter(word => word.length <= 3).length;
+        const patternWords = words.filter(word => word.length >= 3 && new Set(word).size < word.length).length;
+        const singletons = Object.values(counts).filter(count => count === 1).length;
+        const clamp = value => Math.min(1, Math.max(0, value));
+
+        const features = {
+            length: clamp((letters.length - 20) / 80),
+            uniqueLetters: clamp((unique - 10) / 10),
+            frequency: clamp((unusual - 0.1) / 0.35),
+            shortWords: 1 - clamp(shortWords / Math.max(1, words.length) / 0.4),
+            patternWords: 1 - clamp(patternWords / Math.max(1, words.length) / 0.3),
+            singletons: unique === 0 ? 0 : clamp((singletons / unique - 0.1) / 0.5)
+        };
+        const score = Object.entries(QUOTE_DIFFICULTY_WEIGHTS)
+            .reduce((sum, [feature, weight]) => sum + weight * features[feature], 0);
+
+        const stars = 1 + QUOTE_DIFFICULTY_STARS.filter(threshold => score >= threshold).length;
+        const analysis = { score, stars, features };
+        this.quoteAnalysis.set(quote.quote, analysis);
+        return analysis;
+    }
+
+    hasCipherIdentityMappings(cipher) {
+        if (!cipher.mapping) return false;
+        
+        for (const [plainLetter, cipherLetter] of Object.entries(cipher.mapping)) {
+            if (plainLetter === cipherLetter) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // Base value of a question: its cipher type's points plus 25 for every star past the first
+    getQuestionPoints(type = this.cipherType, quote = this.currentQuote) {
+        return CIPHER_TYPES[type].points + 25 * ((this.getQuoteDifficulty(quote) || 1) - 1);
+    }
+
+    getHintPenalty(hints = this.hintsUsed) {
+        return hints.reduce((sum, type) => sum + HINT_TYPES[type].penalty, 0);
+    }
+
+    // Every graded entry of the main answer as { key, value, word } in plaintext order, keyed the
+    // same way as userSolution; word numbers the plaintext word the entry belongs to
+    getAnswerEntries() {
+        const cipher = this.currentCipher;
+        const entries = [];
+
+        if (this.isHillCipher() && cipher.problem === 'matrix') {
+            cipher.decryptionMatrix.forEach((row, r) => row.forEach((value, c) => {
+                entries.push({ key: `matrix_${r}_${c}`, value: String(value), word: 0 });
+            }));
+            return entries;
+        }
+
+        const plaintextBoxes = this.usesPlaintextBoxes();
+        const prefix = this.cipherType === 'baconian' ? 'baconian' : 'plain';
+        const text = plaintextBoxes ? this.getAnswerText() : cipher.plaintext;
+        let letterIndex = 0;
+        let word = 0;
+        for (const char of text) {
+            if (/\s/.test(char)) {
+                word++;
+            } else if (plaintextBoxes ? /[A-Z]/.test(char) : cipher.mapping[char]) {
+                const key = plaintextBoxes ? `${prefix}_${letterIndex++}` : cipher.mapping[char];
+                entries.push({ key: key, value: char, word: word });
+            }
+        }
+        return entries;
+    }
+
+    isEntryCorrect(entry) {
+        return String(this.userSolution.get(entry.key) ?? '').trim().toUpperCase() === entry.value;
+    }
+
+    // Remember each wrong answer the student has been shown, as answer key and letter, so a
+    // cipher letter repeated through the quote, or marked again by Auto Check, counts once
+    noteWrongAnswers() {
+        this.getAnswerEntries().forEach(entry => {
+            const answer = String(this.userSolution.get(entry.key) ?? '').trim().toUpperCase();
+            if (answer && !this.isEntryCorrect(entry)) this.wrongAnswers.add(`${entry.key}=${answer}`);
+        });
+    }
+
+    // Hints that make sense for the current cipher; answers entered per position have no
+    // ciphertext letter to count, and unspaced answers have no words to reveal
+    getAvailableHints() {
+        const hints = ['letter'];
+        if (!this.usesPlaintextBoxes()) {
+            hints.push('frequent');
+        }
+        if (new Set(this.getAnswerEntries().map(entry => entry.word)).size > 1) {
+            hints.push('word');
+        }
+        if (this.cipherType === 'baconian' && !this.hintsUsed.includes('baconian')) {
+            hints.push('baconian');
+        }
+        return hints;
+    }
+
+    useHint(type) {
+        if (this.isPaused || this.validationState === 'solved' || !this.getAvailableHints().includes(type)) return;
+
+        const entries = this.getAnswerEntries();
+        const missing = entries.filter(entry => !this.isEntryCorrect(entry));
+        let revealed = [];
+
+        if (type === 'letter') {
+            revealed = missing.length ? [missing[Math.floor(Math.random() * missing.length)]] : [];
+        } else if (type === 'frequent') {
+            // Every occurrence of a cipher letter has the same answer, so counting missing entries
+            // counts that letter's occurrences in the ciphertext
+            const counts = new Map();
+            missing.forEach(entry => counts.set(entry.key, (counts.get(entry.key) || 0) + 1));
+            const [key] = [...counts].reduce((best, item) => item[1] > best[1] ? item : best, [null, 0]);
+            revealed = missing.filter(entry => entry.key === key);
+        } else if (type === 'word') {
+            const words = [...new Set(missing.map(entry => entry.word))];
+            const word = words[Math.floor(Math.random() * words.length)];
+            revealed = entries.filter(entry => entry.word === word);
+        }
+
+        if (type !== 'baconian' && revealed.length === 0) {
+            const feedbackEl = this.container.querySelector('#feedback');
+            feedbackEl.innerHTML = '<p style="text-align: center;">Everything is already filled in correctly. No hint was used.</p>';
+            feedbackEl.style.display = 'block';
+            return;
+        }
+
+        revealed.forEach(entry => this.userSolution.set(entry.key, entry.value));
+        this.hintsUsed.push(type);
+
+        this.render();
+        if (this.autoHighlightEnabled) {
+            this.validateAnswers();
+        }
+        this.saveProgress();
+    }
+
+    loadTestSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('codebustersTestSettings'));
+            if (!saved) return { ...TEST_SETTINGS_DEFAULTS };
+
+            const types = (saved.types || []).filter(type => CIPHER_TYPES[type]);
+            return {
+                questionCount: saved.questionCount || TEST_SETTINGS_DEFAULTS.questionCount,
+                minutes: saved.minutes || TEST_SETTINGS_DEFAULTS.minutes,
+                types: types.length > 0 ? types : TEST_SETTINGS_DEFAULTS.types
+            };
+        } catch (error) {
+            return { ...TEST_SETTINGS_DEFAULTS };
+        }
+    }
+
+    showTestSetup() {
+        if (this.timerInterval) clearInterval(this.timerInterval);
+
+        const { questionCount, minutes, types } = this.testSettings;
+        const typeOptions = Object.entries(CIPHER_TYPES).map(([type, info]) => `
+            <label class="test-type-option">
+                <input type="checkbox" name="testCipherType" value="${type}" ${types.includes(type) ? 'checked' : ''}>
+                ${info.label}
+            </label>
+        `).join('');
+
+        this.container.innerHTML = `
+            <div class="cipher-container">
+                <div class="test-setup">
+                    <h2>Mock Test</h2>
+                    <p class="hint">
+                        Question 1 is the timed question: submit it within ${TIMED_QUESTION_SECONDS / 60} minutes with at most
+                        ${TEST_ERROR_ALLOWANCE} errors for a bonus of ${TIMED_QUESTION_BONUS_PER_SECOND} points per second remaining.
+                        Every question allows ${TEST_ERROR_ALLOWANCE} errors, then costs ${TEST_ERROR_PENALTY} points per error.
+                    </p>
+                    <div class="test-setup-fields">
+                        <label class="test-setup-field">
+                            <span>Questions:</span>
+                            <input type="number" id="testQuestionCount" min="1" max="30" value="${questionCount}">
+                        </label>
+                        <label class="test-setup-field">
+                            <span>Time Limit (minutes):</span>
+                            <input type="number" id="testMinutes" min="1" max="180" value="${minutes}">
+                        </label>
+                    </div>
+                    <div class="test-type-options">
+                        ${typeOptions}
+                    </div>
+                    <div id="feedback" style="display: none; margin: var(--space-4) 0;"></div>
+                    <div class="cipher-buttons">
+                        <button id="startTestBtn" class="btn btn-primary">Start Test</button>
+                        <button id="printPacketBtn" class="btn btn-outline">Print Packet</button>
+                        <button id="cancelTestBtn" class="btn btn-secondary">Cancel</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        this.container.querySelector('#startTestBtn').addEventListener('click', () => {
+            if (this.readTestSetupForm()) {
+                this.startTest(this.testSettings);
+            }
+        });
+
+        this.container.querySelector('#printPacketBtn').addEventListener('click', () => {
+            if (this.readTestSetupForm()) {
+                this.printTestPacket(this.testSettings);
+            }
+        });
+
+        this.container.querySelector('#cancelTestBtn').addEventListener('click', () => {
+            this.render();
+            this.startTimer();
+        });
+    }
+
+    // Save the setup form into testSettings; returns false (with a message) if it can't be used
+    readTestSetupForm() {
+        const types = Array.from(this.container.querySelectorAll('input[name="testCipherType"]:checked')).map(input => input.value);
+        const questionCount = Math.min(30, Math.max(1, parseInt(this.container.querySelector('#testQuestionCount').value, 10) || 1));
+        const minutes = Math.min(180, Math.max(1, parseInt(this.container.querySelector('#testMinutes').value, 10) || 1));
+
+        if (types.length === 0) {
+            const feedbackEl = this.container.querySelector('#feedback');
+            feedbackEl.innerHTML = '<p style="color: red; text-align: center;">Select at least one cipher type.</p>';
+            feedbackEl.style.display = 'block';
+            return false;
+        }
+
+        this.testSettings = { questionCount, minutes, types };
+        localStorage.setItem('codebustersTestSettings', JSON.stringify(this.testSettings));
+        return true;
+    }
+
+    // Generate a packet of questions, leaving the practice cipher type as it was
+    buildTestQuestions({ questionCount, types }) {
+        const practiceType = this.cipherType;
+        const randomType = () => types[Math.floor(Math.random() * types.length)];
+        // Official timed questions are Aristocrats
+        const timedType = types.includes('aristocrat') ? 'aristocrat' : randomType();
+
+        this.usedQuotes.clear();
+        const questions = [];
+        for (let i = 0; i < questionCount; i++) {
+            this.cipherType = i === 0 ? timedType : randomType();
+            this.filterQuotesByCipherType();
+            const { quote, cipher } = this.createPuzzle();
+            questions.push({
+                cipherType: this.cipherType,
+                quote: quote,
+                cipher: cipher,
+                userSolution: new Map(),
+                hintsUsed: [],
+                columnarLayout: {},
+                points: this.getQuestionPoints(this.cipherType, quote)
+            });
+        }
+
+        this.cipherType = practiceType;
+        this.filterQuotesByCipherType();
+        return questions;
+    }
+
+    startTest(settings) {
+        const practiceType = this.cipherType;
+        const questions = this.buildTestQuestions(settings);
+
+        this.testSession = {
+            questions: questions,
+            currentIndex: 0,
+            durationSeconds: settings.minutes * 60,
+            timedSeconds: null,
+            results: null,
+            practiceType: practiceType,
+            practiceAutoHighlight: this.autoHighlightEnabled
+        };
+
+        // Answers aren't marked until the test is scored
+        this.autoHighlightEnabled = false;
+        this.elapsedSeconds = 0;
+        this.isPaused = false;
+
+        this.showTestQuestion(0);
+        this.startTimer();
+    }
+
+    // Point the game state at a test question; its userSolution map, hint list and columnar layout
+    // are shared, so answers, hints and workspace arrangements persist
+    activateTestQuestion(index) {
+        const question = this.testSession.questions[index];
+        this.testSession.currentIndex = index;
+        this.cipherType = question.cipherType;
+        this.currentQuote = question.quote;
+        this.currentCipher = question.cipher;
+        this.userSolution = question.userSolution;
+        this.hintsUsed = question.hintsUsed;
+        this.columnarLayout = question.columnarLayout;
+        this.validationState = null;
+    }
+
+    showTestQuestion(index) {
+        this.activateTestQuestion(index);
+        this.render();
+    }
+
+    canSubmitTimedQuestion() {
+        return this.testSession.timedSeconds === null && this.elapsedSeconds < TIMED_QUESTION_SECONDS;
+    }
+
+    submitTimedQuestion() {
+        if (!this.canSubmitTimedQuestion()) return;
+
+        const feedbackEl = this.container.querySelector('#feedback');
+        if (this.countErrors() <= TEST_ERROR_ALLOWANCE) {
+            this.testSession.timedSeconds = this.elapsedSeconds;
+            this.container.querySelector('#submitTimedBtn')?.remove();
+            feedbackEl.innerHTML = `
+                <div style="background: var(--color-success, #10b981); color: white; padding: var(--space-4); border-radius: var(--border-radius-lg); text-align: center;">
+                    <strong>Timed question accepted</strong> at ${this.formatTime(this.elapsedSeconds)}
+                </div>
+            `;
+        } else {
+            feedbackEl.innerHTML = `<p style="color: red; text-align: center;">The timed question has more than ${TEST_ERROR_ALLOWANCE} errors. Keep working!</p>`;
+        }
+        feedbackEl.style.display = 'block';
+    }
+
+    // Wrong or missing letters in the current answer, counted the way official tests grade them
+    countErrors() {
+        const cipher = this.currentCipher;
+        const userLetter = key => (this.userSolution.get(key) || '').trim().toUpperCase();
+        let errors = 0;
+
+        if (this.isHillCipher() && cipher.problem === 'matrix') {
+            cipher.decryptionMatrix.forEach((row, r) => row.forEach((value, c) => {
+                const entry = this.userSolution.get(`matrix_${r}_${c}`);
+                if (entry === undefined || Number(entry) !== value) errors++;
+            }));
+        } else if (this.usesPlaintextBoxes()) {
+            const prefix = this.cipherType === 'baconian' ? 'baconian' : 'plain';
+            const letters = this.getAnswerText().replace(/[^A-Z]/g, '');
+            for (let i = 0; i < letters.length; i++) {
+                if (userLetter(`${prefix}_${i}`) !== letters[i]) errors++;
+            }
+        } else {
+            // Substitution answers are keyed by cipher letter (or checkerboard pair)
+            for (const letter of cipher.plaintext) {
+                const cipherKey = cipher.mapping[letter];
+                if (cipherKey && userLetter(cipherKey) !== letter) errors++;
+            }
+        }
+
+        (cipher.keyAnswers || []).forEach(answer => {
+            if (userLetter(`answer_${answer.id}`) !== answer.value) errors++;
+        });
+
+        return errors;
+    }
+
+    finishTest() {
+        if (this.timerInterval) clearInterval(this.timerInterval);
+
+        const session = this.testSession;
+        const questions = session.questions.map((question, i) => {
+            this.activateTestQuestion(i);
+            const errors = this.countErrors();
+            const penalty = Math.max(0, errors - TEST_ERROR_ALLOWANCE) * TEST_ERROR_PENALTY;
+            const hintPenalty = this.getHintPenalty(question.hintsUsed);
+            return {
+                name: this.getCipherTypeName(),
+                points: question.points,
+                errors: errors,
+                hintPenalty: hintPenalty,
+                score: Math.max(0, question.points - penalty - hintPenalty),
+                answer: question.cipher.problem === 'matrix'
+                    ? question.cipher.decryptionMatrix.map(row => row.join(' ')).join(' / ')
+                    : this.getAnswerText()
+            };
+        });
+
+        const timedBonus = session.timedSeconds === null
+            ? 0
+            : TIMED_QUESTION_BONUS_PER_SECOND * (TIMED_QUESTION_SECONDS - session.timedSeconds);
+
+        session.results = {
+            questions: questions,
+            timedBonus: timedBonus,
+            total: questions.reduce((sum, q) => sum + q.score, 0) + timedBonus,
+            possible: questions.reduce((sum, q) => sum + q.points, 0),
+            secondsUsed: Math.min(this.elapsedSeconds, session.durationSeconds),
+            timeExpired: this.elapsedSeconds >= session.durationSeconds
+        };
+
+        this.renderTestResults();
+    }
+
+    renderTestResults() {
+        const { results, timedSeconds } = this.testSession;
+        const rows = results.questions.map((q, i) => `
+            <tr>
+                <td>${i + 1}</td>
+                <td>${q.name}</td>
+                <td>${q.points}</td>
+                <td>${q.errors}</td>
+                <td>${q.hintPenalty ? `−${q.hintPenalty}` : 0}</td>
+                <td><strong>${q.score}</strong></td>
+                <td class="test-answer">${this.escapeHtml(q.answer)}</td>
+            </tr>
+        `).join('');
+        const timedNote = timedSeconds === null
+            ? 'not submitted'
+            : `submitted at ${this.formatTime(timedSeconds)}`;
+
+        this.container.innerHTML = `
+            <div class="cipher-container">
+                <div class="test-results">
+                    <h2>Mock Test Results</h2>
+                    <p class="test-total">${results.total} points <span>(questions worth ${results.possible})</span></p>
+                    <p class="hint">
+                        ${results.timeExpired ? 'Time expired. ' : ''}Time used: ${this.formatTime(results.secondsUsed)}
+                    </p>
+                    <div class="test-results-scroll">
+                        <table class="test-results-table">
+                            <thead>
+                                <tr><th>#</th><th>Cipher</th><th>Value</th><th>Errors</th><th>Hints</th><th>Score</th><th>Answer</th></tr>
+                            </thead>
+                            <tbody>
+                                ${rows}
+                                <tr class="test-bonus-row">
+                                    <td></td>
+                                    <td colspan="4">Timed question bonus (${timedNote})</td>
+                                    <td><strong>${results.timedBonus}</strong></td>
+                                    <td></td>
+                                </tr>
+                            </tbody>
+                        </table>
+                    </div>
+                    <div class="cipher-buttons">
+                        <button id="newTestBtn" class="btn btn-primary">New Test</button>
+                        <button id="exitTestBtn" class="btn btn-secondary">Back to Practice</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        this.container.querySelector('#newTestBtn').addEventListener('click', () => {
+            this.endTestSession();
+            this.showTestSetup();
+        });
+        this.container.querySelector('#exitTestBtn').addEventListener('click', () => {
+            this.endTestSession();
+            this.generateNewCipher();
+        });
+    }
+
+    // Open a print-ready packet (cover page, questions, answer key) that can be saved as a PDF
+    printTestPacket(settings) {
+        const packet = window.open('', '_blank');
+        if (!packet) {
+            const feedbackEl = this.container.querySelector('#feedback');
+            feedbackEl.innerHTML = '<p style="color: red; text-align: center;">Allow pop-ups for this page to open the print packet.</p>';
+            feedbackEl.style.display = 'block';
+            return;
+        }
+
+        const questions = this.buildTestQuestions(settings);
+        packet.document.open();
+        packet.document.write(this.renderPrintPacket(questions, settings));
+        packet.document.close();
+    }
+
+    renderPrintPacket(questions, { minutes }) {
+        // The packet reuses the on-screen renderers, so swap each question in and restore afterwards
+        const saved = {
+            cipherType: this.cipherType,
+            currentQuote: this.currentQuote,
+            currentCipher: this.currentCipher,
+            userSolution: this.userSolution
+        };
+        const renderEach = (renderQuestion) => questions.map((question, i) => {
+            this.cipherType = question.cipherType;
+            this.currentQuote = question.quote;
+            this.currentCipher = question.cipher;
+            this.userSolution = question.userSolution;
+            return renderQuestion(question, i + 1);
+        }).join('');
+
+        const questionPages = renderEach((question, number) => this.renderPrintQuestion(question, number));
+        const answerKey = renderEach((question, number) => this.renderPrintAnswerKey(question, number));
+        Object.assign(this, saved);
+
+        const stylesheets = Array.from(document.querySelectorAll('link[rel="stylesheet"]'))
+            .map(link => `<link rel="stylesheet" href="${link.href}">`)
+            .join('');
+        const contents = questions.map((question, i) => `
+            <tr><td>${i + 1}</td><td>${CIPHER_TYPES[question.cipherType].label}${i === 0 ? ' (Timed)' : ''}</td><td>${question.points}</td></tr>
+        `).join('');
+        const totalPoints = questions.reduce((sum, question) => sum + question.points, 0);
+
+        return `<!doctype html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>Codebusters Practice Test</title>
+    ${stylesheets}
+</head>
+<body class="print-packet">
+    <div class="print-toolbar">
+        <button class="btn btn-primary" onclick="window.print()">Print / Save as PDF</button>
+    </div>
+
+    <section class="print-page print-cover">
+        <h1>Codebusters Practice Test</h1>
+        <p>${new Date().toLocaleDateString()} &middot; ${questions.length} questions &middot; ${minutes} minutes</p>
+        <div class="print-name-fields">
+            <p>Name: <span class="print-blank"></span></p>
+            <p>Team: <span class="print-blank"></span></p>
+        </div>
+        <ul class="print-rules">
+            <li>Question 1 is timed. Solving it within ${TIMED_QUESTION_SECONDS / 60} minutes with at most ${TEST_ERROR_ALLOWANCE} errors
+                earns ${TIMED_QUESTION_BONUS_PER_SECOND} bonus points for every second under ${TIMED_QUESTION_SECONDS / 60} minutes.</li>
+            <li>Each question allows ${TEST_ERROR_ALLOWANCE} errors; every further error costs ${TEST_ERROR_PENALTY} points, down to 0.</li>
+        </ul>
+        <table class="print-contents">
+            <thead><tr><th>#</th><th>Cipher</th><th>Points</th></tr></thead>
+            <tbody>${contents}</tbody>
+            <tfoot><tr><td></td><td>Total</td><td>${totalPoints}</td></tr></tfoot>
+        </table>
+    </section>
+
+    <section class="print-page">
+        ${questionPages}
+    </section>
+
+    <section class="print-page print-answer-key">
+        <h2>Answer Key</h2>
+        ${answerKey}
+    </section>
+</body>
+</html>`;
+    }
+
+    renderPrintQuestion(question, number) {
+        // Substitution answer grids already show the ciphertext above each blank
+        const gridShowsCipher = !this.usesPlaintextBoxes() && !(this.isHillCipher() && this.currentCipher.problem === 'matrix');
+        // Columnar strips are for dragging on screen; the frequency table goes under the answer grid
+        const workspace = this.isColumnarCipher() || this.usesFrequencyTable() ? '' : this.renderCipherWorkspace();
+
+        return `
+            <div class="print-question">
+                <h3>Question ${number}: ${this.getCipherTypeName()} <span>(${question.points} points${number === 1 ? ', timed' : ''})</span></h3>
+                ${this.currentQuote.hint ? `<p class="hint"><strong>Hint:</strong> ${this.escapeHtml(this.currentQuote.hint)}</p>` : ''}
+                ${this.renderInstructions()}
+                ${this.renderKeyHint()}
+                ${this.renderCribHint()}
+                ${gridShowsCipher ? '' : `
+                <div class="cipher-display-row">
+                    <div class="cipher-display">${this.renderCipherDisplay()}</div>
+                    ${this.renderReferencePanel()}
+                </div>`}
+                ${workspace}
+                <div class="solution-display">${this.renderSolutionBoxes()}</div>
+                ${this.usesFrequencyTable() ? this.renderFrequencyTable() : ''}
+                ${this.renderKeyAnswerFields()}
+            </div>
+        `;
+    }
+
+    renderPrintAnswerKey(question, number) {
+        const cipher = this.currentCipher;
+
+        // Keys given to the student and keys they had to recover, each listed once
+        const details = new Map();
+        [...(cipher.givenKeys || []), ...(cipher.keyAnswers || [])].forEach(key => details.set(key.label, key.value));
+        [['Row Key', cipher.rowKeyword], ['Column Key', cipher.columnKeyword], ['Polybius Key', cipher.polybiusKeyword]]
+            .filter(([label, value]) => value && !details.has(label))
+            .forEach(([label, value]) => details.set(label, value));
+        if (cipher.keyword && ![...details.values()].includes(cipher.keyword)) {
+            details.set('Keyword', cipher.keyword);
+        }
+        if (cipher.alphabetType) {
+            details.set('Alphabet', `${cipher.alphabetType.toUpperCase()}, offset ${cipher.offset}`);
+        }
+        const detailHtml = [...details].map(([label, value]) =>
+            `<span><strong>${label}:</strong> ${this.escapeHtml(value)}</span>`
+        ).join('');
+
+        let table = '';
+        if (this.isHillCipher() && cipher.problem !== 'encrypt') {
+            table = `<table class="print-key-table">${cipher.decryptionMatrix.map(row =>
+                `<tr>${row.map(value => `<td>${value}</td>`).join('')}</tr>`
+            ).join('')}</table>`;
+        } else if (cipher.tripletToLetter) {
+            table = this.renderPrintKeyTable(MORSE_TRIPLETS.map(triplet => [this.formatMorse(triplet), cipher.tripletToLetter[triplet]]));
+        } else if (cipher.digitToLetter) {
+            table = this.renderPrintKeyTable(cipher.digitToLetter.map((letter, digit) => [digit, letter]));
+        } else if (cipher.mapping) {
+            const plainLetters = Object.keys(cipher.mapping).sort((a, b) => a.localeCompare(b, 'es'));
+            table = this.renderPrintKeyTable(plainLetters.map(letter => [letter, cipher.mapping[letter]]));
+        }
+
+        return `
+            <div class="print-key-entry">
+                <h4>Question ${number}: ${this.getCipherTypeName()}</h4>
+                ${cipher.problem === 'matrix' ? '' : `<p class="print-key-answer">${this.escapeHtml(this.getAnswerText())}</p>`}
+                ${detailHtml ? `<p class="print-key-details">${detailHtml}</p>` : ''}
+                ${table}
+            </div>
+        `;
+    }
+
+    // Two-row lookup table: headers across the top, their answers underneath
+    renderPrintKeyTable(pairs) {
+        return `
+            <table class="print-key-table">
+                <tr>${pairs.map(([header]) => `<th>${header}</th>`).join('')}</tr>
+                <tr>${pairs.map(([, value]) => `<td>${value || ''}</td>`).join('')}</tr>
+            </table>
+        `;
+    }
+
+    loadSolveHistory() {
+        try {
+            return JSON.parse(localStorage.getItem('codebustersSolveHistory')) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    // Save the current puzzle to the history the first time it is solved
+    recordSolve() {
+        if (this.solveRecorded) return;
+        this.solveRecorded = true;
+
+        const history = this.loadSolveHistory();
+        history.push({
+            date: Date.now(),
+            cipherType: this.cipherType,
+            difficulty: this.getQuoteDifficulty(),
+            quote: this.currentQuote.quote,
+            seconds: this.elapsedSeconds,
+            checks: this.checkCount,
+            wrongLetters: this.wrongAnswers.size,
+            hints: this.hintsUsed.length,
+            hintPenalty: this.getHintPenalty(),
+            // Distinct answers, matching how wrong letters are counted
+            letters: new Set(this.getAnswerEntries().map(entry => entry.key)).size
+        });
+
+        localStorage.setItem('codebustersSolveHistory', JSON.stringify(history.slice(-SOLVE_HISTORY_LIMIT)));
+    }
+
+    // Answers as a share of everything marked: the answers plus every distinct wrong one shown
+    getAccuracy(solves) {
+        const letters = solves.reduce((sum, solve) => sum + solve.letters, 0);
+        const wrong = solves.reduce((sum, solve) => sum + solve.wrongLetters, 0);
+        return letters + wrong === 0 ? 1 : letters / (letters + wrong);
+    }
+
+    showStats(trendType = 'all') {
+        if (this.timerInterval) clearInterval(this.timerInterval);
+
+        const history = this.loadSolveHistory();
+        const average = solves => Math.round(solves.reduce((sum, solve) => sum + solve.seconds, 0) / solves.length);
+        const percent = value => `${Math.round(value * 100)}%`;
+
+        const typeRows = Object.entries(CIPHER_TYPES).map(([type, info]) => {
+            const solves = history.filter(solve => solve.cipherType === type);
+            if (solves.length === 0) return '';
+            return `
+                <tr>
+                    <td>${info.label}</td>
+                    <td>${solves.length}</td>
+                    <td>${this.formatTime(average(solves))}</td>
+                    <td>${this.formatTime(Math.min(...solves.map(solve => solve.seconds)))}</td>
+                    <td>${percent(this.getAccuracy(solves))}</td>
+                </tr>
+            `;
+        }).join('');
+
+        const recentRows = history.slice(-10).reverse().map(solve => `
+            <tr>
+                <td>${new Date(solve.date).toLocaleDateString()}</td>
+                <td>${CIPHER_TYPES[solve.cipherType] ? CIPHER_TYPES[solve.cipherType].label : solve.cipherType}</td>
+                <td>${'★'.repeat(solve.difficulty || 0)}</td>
+                <td>${this.formatTime(solve.seconds)}</td>
+                <td>${solve.checks}</td>
+                <td>${solve.wrongLetters}</td>
+                <td>${solve.hints || 0}</td>
+                <td class="test-answer">${this.escapeHtml(solve.quote.length > 40 ? solve.quote.slice(0, 40) + '…' : solve.quote)}</td>
+            </tr>
+        `).join('');
+
+        const trendOptions = [['all', 'All Cipher Types'], ...Object.entries(CIPHER_TYPES).map(([type, info]) => [type, info.label])]
+            .map(([type, label]) => `<option value="${type}" ${trendType === type ? 'selected' : ''}>${label}</option>`)
+            .join('');
+
+        this.container.innerHTML = `
+            <div class="cipher-container">
+                <div class="test-results">
+                    <h2>Your Statistics</h2>
+                    ${history.length === 0 ? '<p class="hint">No solves recorded yet. Solve a cipher to start tracking your progress.</p>' : `
+                    <p class="test-total">${history.length} solved <span>(average ${this.formatTime(average(history))}, ${percent(this.getAccuracy(history))} accuracy)</span></p>
+
+                    <h3>By Cipher Type</h3>
+                    <div class="test-results-scroll">
+                        <table class="test-results-table">
+                            <thead><tr><th>Cipher</th><th>Solved</th><th>Average</th><th>Best</th><th>Accuracy</th></tr></thead>
+                            <tbody>${typeRows}</tbody>
+                        </table>
+                    </div>
+
+                    <h3>Weekly Trend</h3>
+                    <div class="cipher-type-selector">
+                        <label for="trendTypeSelect">Show:</label>
+                        <select id="trendTypeSelect">${trendOptions}</select>
+                    </div>
+                    ${this.renderSolveTrend(trendType === 'all' ? history : history.filter(solve => solve.cipherType === trendType))}
+
+                    <h3>Recent Solves</h3>
+                    <div class="test-results-scroll">
+                        <table class="test-results-table">
+                            <thead><tr><th>Date</th><th>Cipher</th><th>Difficulty</th><th>Time</th><th>Checks</th><th>Wrong</th><th>Hints</th><th>Quote</th></tr></thead>
+                            <tbody>${recentRows}</tbody>
+                        </table>
+                    </div>`}
+                    <div class="cipher-buttons">
+                        <button id="closeStatsBtn" class="btn btn-primary">Back to Practice</button>
+                        ${history.length === 0 ? '' : '<button id="clearStatsBtn" class="btn btn-secondary">Clear History</button>'}
+                    </div>
+                </div>
+            </div>
+        `;
+
+        this.container.querySelector('#trendTypeSelect')?.addEventListener('change', (e) => this.showStats(e.target.value));
+        this.container.querySelector('#clearStatsBtn')?.addEventListener('click', () => {
+            if (confirm('Delete your whole solve history?')) {
+                localStorage.removeItem('codebustersSolveHistory');
+                this.showStats();
+            }
+        });
+        this.container.querySelector('#closeStatsBtn').addEventListener('click', () => {
+            this.render();
+            this.startTimer();
+        });
+    }
+
+    // Average solve time per week for the last 12 weeks with solves, drawn as bars
+    renderSolveTrend(solves) {
+        if (solves.length === 0) {
+            return '<p class="hint">No solves for this cipher type yet.</p>';
+        }
+
+        const weeks = new Map();
+        solves.forEach(solve => {
+            const weekStart = new Date(solve.date);
+            weekStart.setHours(0, 0, 0, 0);
+            weekStart.setDate(weekStart.getDate() - weekStart.getDay());
+            const key = weekStart.getTime();
+            if (!weeks.has(key)) weeks.set(key, []);
+            weeks.get(key).push(solve);
+        });
+
+        const rows = [...weeks.entries()].sort((a, b) => a[0] - b[0]).slice(-12).map(([weekStart, weekSolves]) => ({
+            label: new Date(weekStart).toLocaleDateString(undefined, { month: 'short', day: 'numeric' }),
+            seconds: Math.round(weekSolves.reduce((sum, solve) => sum + solve.seconds, 0) / weekSolves.length),
+            count: weekSolves.length,
+            accuracy: this.getAccuracy(weekSolves)
+        }));
+        const longest = Math.max(...rows.map(row => row.seconds), 1);
+
+        return `
+            <div class="solve-trend">
+                ${rows.map(row => `
+                    <div class="solve-trend-row">
+                        <span class="solve-trend-label">${row.label}</span>
+                        <div class="solve-trend-track">
+                            <div class="solve-trend-bar" style="width: ${Math.max(2, Math.round(row.seconds / longest * 100))}%"></div>
+                        </div>
+                        <span class="solve-trend-value">${this.formatTime(row.seconds)} &middot; ${row.count} solved &middot; ${Math.round(row.accuracy * 100)}%</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // Saved custom quotes. Anything that can't be read back is copied to a backup key first,
+    // since the next save rewrites codebustersCustomQuotes with only the quotes that loaded
+    loadCustomQuotes() {
+        const stored = localStorage.getItem('codebustersCustomQuotes');
+        const keepBackup = reason => {
+            console.warn(`${reason}; the saved text is kept in codebustersCustomQuotesBackup`);
+            localStorage.setItem('codebustersCustomQuotesBackup', stored);
+        };
+
+        let saved;
+        try {
+            saved = JSON.parse(stored) || [];
+        } catch (error) {
+            keepBackup('Saved custom quotes are not valid JSON');
+            return [];
+        }
+        if (!Array.isArray(saved)) {
+            keepBackup('Saved custom quotes are not a list');
+            return [];
+        }
+
+        const quotes = saved.map(quote => this.validateQuote(quote).quote).filter(Boolean);
+        if (quotes.length < saved.length) {
+            keepBackup(`${saved.length - quotes.length} saved custom quotes failed validation`);
+        }
+        return quotes;
+    }
+
+    saveCustomQuotes() {
+        localStorage.setItem('codebustersCustomQuotes', JSON.stringify(this.customQuotes));
+        if (this.allQuotes) {
+            this.filterQuotesByCipherType();
+        }
+    }
+
+    // Clean up a quote in the codebustersQuotes.json schema; returns { quote } or { error }. The
+    // difficulty is always computed from the text, like the built-in quotes'
+    validateQuote(raw) {
+        if (!raw || typeof raw.quote !== 'string') {
+            return { error: 'The quote text is missing.' };
+        }
+
+        const quote = {
+            author: String(raw.author || '').trim(),
+            difficulty: null,
+            quote: raw.quote.trim().replace(/\s+/g, ' '),
+            hint: String(raw.hint || '').trim(),
+            cipherTypes: Array.isArray(raw.cipherTypes) ? QUOTE_TAGS.filter(tag => raw.cipherTypes.includes(tag)) : []
+        };
+        const letters = quote.quote.match(/\p{L}/gu) || [];
+
+        if (quote.quote.length > CUSTOM_QUOTE_MAX_LENGTH) {
+            return { error: `Quotes can be at most ${CUSTOM_QUOTE_MAX_LENGTH} characters long.` };
+        }
+        if (letters.length < CUSTOM_QUOTE_MIN_LETTERS || letters.length > CUSTOM_QUOTE_MAX_LETTERS) {
+            return { error: `Quotes need ${CUSTOM_QUOTE_MIN_LETTERS} to ${CUSTOM_QUOTE_MAX_LETTERS} letters (this one has ${letters.length}).` };
+        }
+        if (quote.cipherTypes.length === 0) {
+            return { error: 'Choose at least one cipher type for the quote.' };
+        }
+
+        // Accents and Ñ only make sense in a Spanish quote
+        const upper = quote.quote.toUpperCase();
+        if (quote.cipherTypes.some(tag => tag !== 'xenocrypt') && /[^\P{L}A-Z]/u.test(upper)) {
+            return { error: 'English ciphers can only use the letters A to Z. Tag quotes with accents or Ñ as Xenocrypt only.' };
+        }
+        if (quote.cipherTypes.includes('xenocrypt') && /[^\P{L}A-ZÑ]/u.test(this.foldSpanishAccents(upper))) {
+            return { error: 'Xenocrypt quotes can only use the Spanish alphabet.' };
+        }
+
+        quote.difficulty = this.getQuoteDifficulty(quote);
+        return { quote };
+    }
+
+    isDuplicateQuote(text, ignoreIndex = null) {
+        return this.allQuotes.some(q => q.quote === text) ||
+            this.customQuotes.some((q, i) => i !== ignoreIndex && q.quote === text);
+    }
+
+    // Coaches' own quotes: add, edit and delete them, and share them as JSON files
+    showQuoteEditor(editIndex = null, message = '') {
+        if (this.timerInterval) clearInterval(this.timerInterval);
+
+        const editing = editIndex === null
+            ? { author: '', quote: '', hint: '', cipherTypes: ['aristocrat', 'patristocrat', 'baconian'] }
+            : this.customQuotes[editIndex];
+        const tagOptions = QUOTE_TAGS.map(tag => `
+            <label class="test-type-option">
+                <input type="checkbox" name="quoteCipherType" value="${tag}" ${editing.cipherTypes.includes(tag) ? 'checked' : ''}>
+                ${CIPHER_TYPES[tag].label}
+            </label>
+        `).join('');
+        const rows = this.customQuotes.map((quote, i) => `
+            <tr>
+                <td class="test-answer">${this.escapeHtml(quote.quote)}</td>
+                <td>${this.escapeHtml(quote.author)}</td>
+                <td>${'★'.repeat(this.getQuoteDifficulty(quote))}</td>
+                <td>${quote.cipherTypes.map(tag => CIPHER_TYPES[tag].label).join(', ')}</td>
+                <td class="quote-bank-actions">
+                    <button class="btn btn-outline quote-edit-btn" data-index="${i}">Edit</button>
+                    <button class="btn btn-outline quote-delete-btn" data-index="${i}">Delete</button>
+                </td>
+            </tr>
+        `).join('');
+
+        this.container.innerHTML = `
+            <div class="cipher-container">
+                <div class="test-setup quote-editor">
+                    <h2>${editIndex === null ? 'Add a Quote' : 'Edit Quote'}</h2>
+                    <p class="hint">
+                        Your quotes are saved in this browser and mixed in with the built-in quotes.
+                        Quotes tagged Aristocrat are also used by the Porta, Hill, Columnar, Nihilist, Checkerboard
+                        and Fractionated Morse modes. Star ratings are worked out from each quote's letters.
+                    </p>
+                    <label class="quote-editor-field">
+                        <span>Quote:</span>
+                        <textarea id="quoteText" rows="3" maxlength="${CUSTOM_QUOTE_MAX_LENGTH}">${this.escapeHtml(editing.quote)}</textarea>
+                    </label>
+                    <label class="quote-editor-field">
+                        <span>Author:</span>
+                        <input type="text" id="quoteAuthor">
+                    </label>
+                    <label class="quote-editor-field">
+                        <span>Hint:</span>
+                        <input type="text" id="quoteHint">
+                    </label>
+                    <div class="test-type-options">
+                        ${tagOptions}
+                    </div>
+                    <div id="feedback" style="${message ? '' : 'display: none; '}margin: var(--space-4) 0;">${message}</div>
+                    <div class="cipher-buttons">
+                        <button id="saveQuoteBtn" class="btn btn-primary">${editIndex === null ? 'Add Quote' : 'Save Changes'}</button>
+                        ${editIndex === null ? '' : '<button id="cancelEditBtn" class="btn btn-secondary">Cancel Edit</button>'}
+                    </div>
+
+                    <h3>Your Quotes (${this.customQuotes.length})</h3>
+                    ${this.customQuotes.length === 0 ? '<p class="hint">No quotes added yet.</p>' : `
+                    <div class="test-results-scroll">
+                        <table class="test-results-table">
+                            <thead><tr><th>Quote</th><th>Author</th><th>Difficulty</th><th>Cipher Types</th><th></th></tr></thead>
+                            <tbody>${rows}</tbody>
+                        </table>
+                    </div>`}
+                    <div class="cipher-buttons">
+                        <button id="exportQuotesBtn" class="btn btn-outline" ${this.customQuotes.length === 0 ? 'disabled' : ''}>Export JSON</button>
+                        <button id="importQuotesBtn" class="btn btn-outline">Import JSON</button>
+                        <input type="file" id="importQuotesFile" accept=".json,application/json" hidden>
+                        <button id="closeQuoteBankBtn" class="btn btn-secondary">Back to Practice</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        // Set as properties so quote marks in the text can't break out of an attribute
+        this.container.querySelector('#quoteAuthor').value = editing.author;
+        this.container.querySelector('#quoteHint').value = editing.hint;
+
+        this.container.querySelector('#saveQuoteBtn').addEventListener('click', () => this.saveQuoteFromEditor(editIndex));
+        this.container.querySelector('#cancelEditBtn')?.addEventListener('click', () => this.showQuoteEditor());
+        this.container.querySelectorAll('.quote-edit-btn').forEach(button => {
+            button.addEventListener('click', () => this.showQuoteEditor(Number(button.dataset.index)));
+        });
+        this.container.querySelectorAll('.quote-delete-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                if (confirm('Delete this quote?')) {
+                    this.customQuotes.splice(Number(button.dataset.index), 1);
+                    this.saveCustomQuotes();
+                    this.showQuoteEditor();
+                }
+            });
+        });
+        this.container.querySelector('#exportQuotesBtn').addEventListener('click', () => this.exportCustomQuotes());
+        const fileInput = this.container.querySelector('#importQuotesFile');
+        this.container.querySelector('#importQuotesBtn').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files[0]) this.importCustomQuotes(fileInput.files[0]);
+        });
+        this.container.querySelector('#closeQuoteBankBtn').addEventListener('click', () => {
+            this.render();
+            this.startTimer();
+        });
     }
 
-    generateNewCipher() {
-        let quote = this.getRandomUnusedQuote();
-        let cipher = null;
-        
-        // Keep trying to generate a cipher with no identity mappings
-        let attempts = 0;
-        do {
-            cipher = this.createCipher(quote.quote, this.cipherType);
-            attempts++;
-        } while (this.hasCipherIdentityMappings(cipher) && attempts < 100);
+    saveQuoteFromEditor(editIndex) {
+        const { quote, error } = this.validateQuote({
+            quote: this.container.querySelector('#quoteText').value,
+            author: this.container.querySelector('#quoteAuthor').value,
+            hint: this.container.querySelector('#quoteHint').value,
+            cipherTypes: Array.from(this.container.querySelectorAll('input[name="quoteCipherType"]:checked')).map(input => input.value)
+        });
+        const problem = error || (this.isDuplicateQuote(quote.quote, editIndex) ? 'That quote is already in the bank.' : null);
 
-        // Add to used set and remove oldest if over limit
-        this.usedQuotes.add(JSON.stringify(quote));
-        if (this.usedQuotes.size > Math.max(5, this.quotes.length - 3)) {
-            const oldestUsed = Array.from(this.usedQuotes)[0];
-            this.usedQuotes.delete(oldestUsed);
+        if (problem) {
+            const feedbackEl = this.container.querySelector('#feedback');
+            feedbackEl.innerHTML = `<p style="color: red; text-align: center;">${this.escapeHtml(problem)}</p>`;
+            feedbackEl.style.display = 'block';
+            return;
         }
 
-        this.currentQuote = quote;
-        this.currentCipher = cipher;
-        this.userSolution = new Map();
-        this.validationState = null;
-        this.elapsedSeconds = 0;
-        this.isPaused = false;
+        if (editIndex === null) {
+            this.customQuotes.push(quote);
+        } else {
+            this.customQuotes[editIndex] = quote;
+        }
+        this.saveCustomQuotes();
 
-        this.render();
-        this.startTimer();
+        const warnings = this.getSolverWarnings(quote);
+        this.showQuoteEditor(null, `<p style="text-align: center;">${editIndex === null ? 'Quote added.' : 'Quote updated.'}</p>
+            ${warnings.length === 0 ? '' : `
+                <p style="color: #b45309; text-align: center;">The solver found problems with some cipher types. Consider unticking them:</p>
+                <ul class="quote-solver-warnings">${warnings.map(warning => `<li>${this.escapeHtml(warning)}</li>`).join('')}</ul>`}`);
     }
 
-    getRandomUnusedQuote() {
-        let attempts = 0;
-        let quote;
-        
-        do {
-            quote = this.quotes[Math.floor(Math.random() * this.quotes.length)];
-            attempts++;
-        } while (this.usedQuotes.has(JSON.stringify(quote)) && attempts < 50);
+    // Cipher types the solver finds ambiguous or unsolvable for a coach's quote. The quote is
+    // still saved, so the coach decides; quoteSolver.js is optional and without it nothing is flagged
+    getSolverWarnings(quote) {
+        if (typeof quoteSolver === 'undefined') return [];
 
-        return quote;
+        const model = quoteSolver.buildWordModel([...this.allQuotes, ...this.customQuotes].filter(q => q !== quote).map(q => q.quote));
+        return quote.cipherTypes
+            .map(tag => ({ tag, ...quoteSolver.checkQuote(quote, tag, this.dictionary, model, { stepLimit: 20000 }) }))
+            .filter(result => result.status === 'ambiguous' || result.status === 'unsolvable')
+            .map(result => `${CIPHER_TYPES[result.tag]?.label || result.tag}: ${result.reason}`);
     }
 
-    hasCipherIdentityMappings(cipher) {
-        if (!cipher.mapping) return false;
-        
-        for (const [plainLetter, cipherLetter] of Object.entries(cipher.mapping)) {
-            if (plainLetter === cipherLetter) {
-                return true;
+    // Download the custom quotes in the same { quotes: [...] } layout as codebustersQuotes.json
+    exportCustomQuotes() {
+        const blob = new Blob([JSON.stringify({ quotes: this.customQuotes }, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'codebusters-quotes.json';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    // Add the valid, new quotes from a file in the codebustersQuotes.json layout (or a bare array)
+    async importCustomQuotes(file) {
+        let quotes;
+        try {
+            const data = JSON.parse(await file.text());
+            quotes = Array.isArray(data) ? data : data.quotes;
+            if (!Array.isArray(quotes)) throw new Error('no quotes list');
+        } catch (error) {
+            this.showQuoteEditor(null, `<p style="color: red; text-align: center;">${this.escapeHtml(file.name)} is not a quote bank file.</p>`);
+            return;
+        }
+
+        let added = 0;
+        for (const raw of quotes) {
+            const { quote } = this.validateQuote(raw);
+            if (quote && !this.isDuplicateQuote(quote.quote)) {
+                this.customQuotes.push(quote);
+                added++;
             }
         }
-        return false;
+        this.saveCustomQuotes();
+
+        const skipped = quotes.length - added;
+        this.showQuoteEditor(null, `<p style="text-align: center;">Imported ${added} ${added === 1 ? 'quote' : 'quotes'}${skipped ? `, skipped ${skipped} invalid or duplicate` : ''}.</p>`);
+    }
+
+    // Drop the test and go back to the practice cipher type and settings
+    endTestSession() {
+        this.cipherType = this.testSession.practiceType;
+        this.autoHighlightEnabled = this.testSession.practiceAutoHighlight;
+        this.testSession = null;
+        this.usedQuotes.clear();
+        this.filterQuotesByCipherType();
     }
 
     createCipher(plaintext, type) {
@@ -119,21 +1895,40 @@ class CodebustersCipherGame {
                 return this.createAristocratCipher(plaintext);
             case 'patristocrat':
                 return this.createPatristocratCipher(plaintext);
+            case 'xenocrypt':
+                return this.createXenocryptCipher(plaintext);
             case 'baconian':
                 return this.createBaconianCipher(plaintext);
+            case 'fractionatedmorse':
+                return this.createFractionatedMorseCipher(plaintext);
+            case 'porta':
+                return this.createPortaCipher(plaintext, { withCrib: false });
+            case 'portacrib':
+                return this.createPortaCipher(plaintext, { withCrib: true });
+            case 'hill2x2':
+                return this.createHillCipher(plaintext, 2);
+            case 'hill3x3':
+                return this.createHillCipher(plaintext, 3);
+            case 'columnar':
+                return this.createColumnarCipher(plaintext, { withCrib: false });
+            case 'columnarcrib':
+                return this.createColumnarCipher(plaintext, { withCrib: true });
+            case 'nihilist':
+                return this.createNihilistCipher(plaintext, { withCrib: false });
+            case 'nihilistcrib':
+                return this.createNihilistCipher(plaintext, { withCrib: true });
+            case 'checkerboard':
+                return this.createCheckerboardCipher(plaintext, { withCrib: false });
+            case 'checkerboardcrib':
+                return this.createCheckerboardCipher(plaintext, { withCrib: true });
             default:
                 return this.createAristocratCipher(plaintext);
         }
     }
 
     createAristocratCipher(plaintext) {
-        const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-        const shuffled = this.fisherYatesShuffle([...alphabet.split('')]);
-        
-        const mapping = {};
-        for (let i = 0; i < alphabet.length; i++) {
-            mapping[alphabet[i]] = shuffled[i];
-        }
+        const alphabet = this.createSubstitutionAlphabet();
+        const mapping = alphabet.mapping;
 
         const ciphertext = plaintext.toUpperCase().split('').map(char => {
             if (mapping[char]) return mapping[char];
@@ -145,36 +1940,109 @@ class CodebustersCipherGame {
             plaintext: plaintext.toUpperCase(),
             ciphertext: ciphertext,
             mapping: mapping,
-            reverseMapping: this.createReverseMapping(mapping)
+            reverseMapping: this.createReverseMapping(mapping),
+            ...alphabet.details
         };
     }
 
     createPatristocratCipher(plaintext) {
-        const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+        const alphabet = this.createSubstitutionAlphabet();
+        const mapping = alphabet.mapping;
+        const ciphertext = this.formatPatristocratCiphertext(plaintext.toUpperCase(), mapping);
+
+        return {
+            type: 'patristocrat',
+            plaintext: plaintext.toUpperCase(),
+            ciphertext: ciphertext,
+            groupSize: PATRISTOCRAT_FORMATS[this.patristocratFormat].groupSize,
+            mapping: mapping,
+            reverseMapping: this.createReverseMapping(mapping),
+            originalWithSpaces: plaintext.toUpperCase(), // Keep for validation
+            ...alphabet.details
+        };
+    }
+
+    // Patristocrat ciphertext in the chosen format: letters only, in space-separated groups or
+    // with no spaces at all
+    formatPatristocratCiphertext(plaintext, mapping) {
+        const { groupSize } = PATRISTOCRAT_FORMATS[this.patristocratFormat];
+        const letters = plaintext.split('').filter(char => mapping[char]).map(char => mapping[char]).join('');
+        if (!groupSize) return letters;
+
+        return (letters.match(new RegExp(`.{1,${groupSize}}`, 'g')) || []).join(' ');
+    }
+
+    // Plain-to-cipher mapping for the selected alphabet type, plus the cipher fields describing
+    // a keyword alphabet (keyword, offset, task text and the optional keyword answer)
+    createSubstitutionAlphabet() {
+        const alphabet = ENGLISH_ALPHABET;
+        const mapping = {};
+
+        if (this.alphabetType === 'random') {
+            const shuffled = this.fisherYatesShuffle([...alphabet.split('')]);
+            for (let i = 0; i < alphabet.length; i++) {
+                mapping[alphabet[i]] = shuffled[i];
+            }
+            return { mapping, details: {} };
+        }
+
+        const keyword = this.getRandomKeyword(word => word.length >= 5);
+        const keyed = this.buildKeyedAlphabet(keyword);
+        // K3 uses the same keyed alphabet on both sides, so a zero offset would map every letter to itself
+        const offset = this.alphabetType === 'k3'
+            ? 1 + Math.floor(this.random() * (alphabet.length - 1))
+            : Math.floor(this.random() * alphabet.length);
+
+        const plainAlphabet = this.alphabetType === 'k2' ? alphabet : keyed;
+        const cipherAlphabet = this.alphabetType === 'k1' ? alphabet : keyed;
+        for (let i = 0; i < alphabet.length; i++) {
+            mapping[plainAlphabet[i]] = cipherAlphabet[(i + offset) % alphabet.length];
+        }
+
+        const typeName = this.alphabetType.toUpperCase();
+        return {
+            mapping,
+            details: {
+                alphabetType: this.alphabetType,
+                keyword: keyword,
+                offset: offset,
+                instructions: this.askForKeyword
+                    ? `Encoded with a ${typeName} alphabet. Solve the quote and identify the keyword.`
+                    : `Encoded with a ${typeName} alphabet.`,
+                keyAnswers: this.askForKeyword ? [{ id: 'keyword', label: 'Keyword', value: keyword }] : []
+            }
+        };
+    }
+
+    createXenocryptCipher(plaintext) {
+        const alphabet = SPANISH_ALPHABET;
         const shuffled = this.fisherYatesShuffle([...alphabet.split('')]);
-        
+
         const mapping = {};
         for (let i = 0; i < alphabet.length; i++) {
             mapping[alphabet[i]] = shuffled[i];
         }
 
-        // Remove spaces but keep punctuation
-        const ciphertext = plaintext.toUpperCase().split('').map(char => {
+        const plain = this.foldSpanishAccents(plaintext);
+        const ciphertext = plain.split('').map(char => {
             if (mapping[char]) return mapping[char];
-            if (char === ' ') return ''; // Remove spaces
-            return char; // Keep punctuation
+            return char;
         }).join('');
 
         return {
-            type: 'patristocrat',
-            plaintext: plaintext.toUpperCase(),
+            type: 'xenocrypt',
+            plaintext: plain,
             ciphertext: ciphertext,
             mapping: mapping,
-            reverseMapping: this.createReverseMapping(mapping),
-            originalWithSpaces: plaintext.toUpperCase() // Keep for validation
+            reverseMapping: this.createReverseMapping(mapping)
         };
     }
 
+    // Uppercase Spanish text and strip accents from vowels (Á -> A, Ü -> U), keeping Ñ
+    foldSpanishAccents(text) {
+        return text.toUpperCase().split('').map(char => SPANISH_ACCENT_FOLDS[char] || char).join('');
+    }
+
     createBaconianCipher(plaintext) {
         // 26-letter Baconian cipher mapping
         const baconianMap = {
@@ -213,10 +2081,512 @@ class CodebustersCipherGame {
         };
     }
 
+    createFractionatedMorseCipher(plaintext) {
+        // Only letters are sent in Morse; punctuation is dropped but word breaks are kept
+        const plain = plaintext.toUpperCase().replace(/[^A-Z ]/g, '').replace(/\s+/g, ' ').trim();
+
+        // Letters are separated by a single x and words by xx
+        let morse = plain.split(' ')
+            .map(word => word.split('').map(char => MORSE_CODE[char]).join('x'))
+            .join('xx');
+        // Pad to whole triplets; at most two x's are added so the last triplet is never 'xxx'
+        while (morse.length % 3 !== 0) {
+            morse += 'x';
+        }
+
+        const keyword = this.getRandomKeyword();
+        const keyedAlphabet = this.buildKeyedAlphabet(keyword);
+        const tripletToLetter = {};
+        const letterToTriplet = {};
+        MORSE_TRIPLETS.forEach((triplet, i) => {
+            tripletToLetter[triplet] = keyedAlphabet[i];
+            letterToTriplet[keyedAlphabet[i]] = triplet;
+        });
+
+        let ciphertext = '';
+        for (let i = 0; i < morse.length; i += 3) {
+            ciphertext += tripletToLetter[morse.slice(i, i + 3)];
+        }
+
+        return {
+            type: 'fractionatedmorse',
+            plaintext: plain,
+            ciphertext: ciphertext,
+            morse: morse,
+            keyword: keyword,
+            tripletToLetter: tripletToLetter,
+            letterToTriplet: letterToTriplet,
+            crib: this.pickCrib(plain)
+        };
+    }
+
+    createPortaCipher(plaintext, { withCrib }) {
+        const plain = plaintext.toUpperCase();
+        const letters = plain.replace(/[^A-Z]/g, '');
+
+        // With a crib the keyword must be no longer than the crib, or the key can't be recovered
+        const crib = withCrib ? this.pickCrib(plain, 5) : null;
+        const maxKeyLength = withCrib ? Math.min(crib.length, 7) : 8;
+        // A short crib (a coach's quote of short words) can rule out every keyword, so the fallback is cut too
+        const keyword = this.getRandomKeyword(word => word.length >= 3 && word.length <= maxKeyLength, 'CIPHER'.slice(0, maxKeyLength));
+
+        let ciphertext = '';
+        for (let i = 0; i < letters.length; i++) {
+            ciphertext += this.portaEncryptLetter(letters[i], keyword[i % keyword.length]);
+        }
+
+        return {
+            type: withCrib ? 'portacrib' : 'porta',
+            plaintext: plain,
+            ciphertext: ciphertext,
+            keyword: keyword,
+            givenKeys: withCrib ? [] : [{ label: 'Keyword', value: keyword }],
+            crib: crib
+        };
+    }
+
+    // Porta is reciprocal: each key pair (AB, CD, ...) swaps A-M with a shifted N-Z
+    portaEncryptLetter(letter, keyLetter) {
+        const x = ENGLISH_ALPHABET.indexOf(letter);
+        const row = Math.floor(ENGLISH_ALPHABET.indexOf(keyLetter) / 2);
+        if (x < 13) {
+            return ENGLISH_ALPHABET[13 + (x - row + 13) % 13];
+        }
+        return ENGLISH_ALPHABET[(x - 13 + row) % 13];
+    }
+
+    createHillCipher(plaintext, size) {
+        const letters = plaintext.toUpperCase().replace(/[^A-Z]/g, '');
+        const padded = letters + 'X'.repeat((size - letters.length % size) % size);
+
+        const keyword = this.generateHillKeyword(size);
+        const keyMatrix = this.keywordToMatrix(keyword, size);
+        const decryptionMatrix = this.invertMatrixMod26(keyMatrix);
+        const ciphertext = this.hillTransform(padded, keyMatrix);
+
+        const cipher = {
+            type: size === 2 ? 'hill2x2' : 'hill3x3',
+            plaintext: plaintext.toUpperCase(),
+            ciphertext: ciphertext,
+            keyword: keyword,
+            keyMatrix: keyMatrix,
+            decryptionMatrix: decryptionMatrix,
+            size: size
+        };
+
+        // 3x3 problems hand out the decryption matrix; 2x2 problems encrypt, decrypt, or invert the key
+        const problem = size === 2
+            ? ['encrypt', 'decrypt', 'matrix'][Math.floor(this.random() * 3)]
+            : 'decrypt';
+
+        if (size === 3) {
+            return Object.assign(cipher, {
+                problem: problem,
+                instructions: 'Decrypt the ciphertext using the decryption matrix.',
+                displayText: ciphertext,
+                answer: padded,
+                referenceMatrix: { label: 'Decryption Matrix', matrix: decryptionMatrix },
+                givenKeys: []
+            });
+        }
+
+        const given = {
+            problem: problem,
+            givenKeys: [{ label: 'Key', value: keyword }],
+            referenceMatrix: { label: 'Encryption Matrix', matrix: keyMatrix }
+        };
+
+        if (problem === 'encrypt') {
+            return Object.assign(cipher, given, {
+                instructions: 'Encrypt the plaintext using the key.',
+                displayLabel: 'Plaintext',
+                displayText: padded,
+                answer: ciphertext
+            });
+        } else if (problem === 'decrypt') {
+            return Object.assign(cipher, given, {
+                instructions: 'Decrypt the ciphertext. Work out the decryption matrix first.',
+                displayText: ciphertext,
+                answer: padded
+            });
+        }
+        return Object.assign(cipher, given, {
+            instructions: 'Compute the decryption matrix for the key.',
+            displayLabel: 'Key',
+            displayText: keyword
+        });
+    }
+
+    // Keyword whose letters (A=0 ... Z=25, row by row) form a matrix invertible mod 26
+    generateHillKeyword(size) {
+        const isInvertible = word => this.invertMatrixMod26(this.keywordToMatrix(word, size)) !== null;
+        const keyword = this.getRandomKeyword(word => word.length === size * size && isInvertible(word), null);
+        if (keyword) return keyword;
+
+        // Nothing suitable in the keyword bank, so fall back to random letters
+        let letters;
+        do {
+            letters = Array.from({ length: size * size }, () => ENGLISH_ALPHABET[Math.floor(this.random() * 26)]).join('');
+        } while (!isInvertible(letters));
+        return letters;
+    }
+
+    keywordToMatrix(keyword, size) {
+        const matrix = [];
+        for (let row = 0; row < size; row++) {
+            matrix.push(keyword.slice(row * size, (row + 1) * size).split('').map(char => ENGLISH_ALPHABET.indexOf(char)));
+        }
+        return matrix;
+    }
+
+    // Multiply each block of letters (as a column vector) by the matrix, mod 26
+    hillTransform(text, matrix) {
+        const size = matrix.length;
+        let result = '';
+        for (let i = 0; i < text.length; i += size) {
+            const vector = text.slice(i, i + size).split('').map(char => ENGLISH_ALPHABET.indexOf(char));
+            for (const row of matrix) {
+                const sum = row.reduce((total, value, col) => total + value * vector[col], 0);
+                result += ENGLISH_ALPHABET[this.mod26(sum)];
+            }
+        }
+        return result;
+    }
+
+    matrixDeterminant(matrix) {
+        if (matrix.length === 1) return matrix[0][0];
+        return matrix[0].reduce((total, value, col) => total + value * this.matrixCofactor(matrix, 0, col), 0);
+    }
+
+    matrixCofactor(matrix, row, col) {
+        const minor = matrix.filter((_, r) => r !== row).map(cells => cells.filter((_, c) => c !== col));
+        const sign = (row + col) % 2 === 0 ? 1 : -1;
+        return sign * this.matrixDeterminant(minor);
+    }
+
+    // Inverse via the adjugate (transposed cofactors) times the determinant's inverse; null if singular mod 26
+    invertMatrixMod26(matrix) {
+        const detInverse = this.modInverse26(this.matrixDeterminant(matrix));
+        if (detInverse === null) return null;
+
+        return matrix.map((_, i) => matrix.map((__, j) =>
+            this.mod26(this.matrixCofactor(matrix, j, i) * detInverse)
+        ));
+    }
+
+    modInverse26(value) {
+        const n = this.mod26(value);
+        for (let i = 1; i < 26; i++) {
+            if ((n * i) % 26 === 1) return i;
+        }
+        return null;
+    }
+
+    mod26(value) {
+        return ((value % 26) + 26) % 26;
+    }
+
+    createColumnarCipher(plaintext, { withCrib }) {
+        const plain = plaintext.toUpperCase();
+        const letters = plain.replace(/[^A-Z]/g, '');
+
+        // Regionals give a keyword of up to 9 letters; cryptanalysis uses an unknown order of up to 11 columns
+        let keyword = null;
+        let readOrder;
+        if (withCrib) {
+            const numColumns = 5 + Math.floor(this.random() * 7);
+            const identity = [...Array(numColumns).keys()];
+            do {
+                readOrder = this.fisherYatesShuffle(identity);
+            } while (readOrder.every((column, i) => column === i));
+        } else {
+            keyword = this.getRandomKeyword(word => word.length >= 4 && word.length <= 9);
+            readOrder = this.getKeywordColumnOrder(keyword);
+        }
+
+        const numColumns = readOrder.length;
+        // Complete columnar: pad with X so every column is the same height
+        const padded = letters + 'X'.repeat((numColumns - letters.length % numColumns) % numColumns);
+
+        let ciphertext = '';
+        for (const column of readOrder) {
+            for (let i = column; i < padded.length; i += numColumns) {
+                ciphertext += padded[i];
+            }
+        }
+
+        return {
+            type: withCrib ? 'columnarcrib' : 'columnar',
+            plaintext: plain,
+            ciphertext: ciphertext,
+            keyword: keyword,
+            readOrder: readOrder,
+            numColumns: numColumns,
+            answer: padded,
+            givenKeys: withCrib ? [] : [{ label: 'Keyword', value: keyword }],
+            crib: withCrib ? this.pickCrib(plain, 5) : null
+        };
+    }
+
+    createNihilistCipher(plaintext, { withCrib }) {
+        // J shares a cell with I, and only letters are enciphered
+        const plain = plaintext.toUpperCase().replace(/J/g, 'I').replace(/[^A-Z ]/g, '').replace(/\s+/g, ' ').trim();
+        const letters = plain.replace(/ /g, '');
+
+        const polybiusKeyword = this.getRandomKeyword(word => word.length >= 5);
+        const square = this.buildKeyedAlphabet(polybiusKeyword.replace(/J/g, 'I'), POLYBIUS_ALPHABET);
+
+        // A crib has to be at least as long as the key for the key to be recovered from it
+        const crib = withCrib ? this.pickCrib(plain, 5) : null;
+        const maxKeyLength = withCrib ? Math.min(crib.length, 6) : 8;
+        const keyword = this.getRandomKeyword(
+            word => word.length >= 3 && word.length <= maxKeyLength && word !== polybiusKeyword,
+            'CIPHER'.slice(0, maxKeyLength)
+        );
+        const keyNumbers = keyword.replace(/J/g, 'I').split('').map(char => this.polybiusNumber(square, char));
+
+        const numbers = letters.split('').map((char, i) =>
+            this.polybiusNumber(square, char) + keyNumbers[i % keyNumbers.length]
+        );
+
+        return {
+            type: withCrib ? 'nihilistcrib' : 'nihilist',
+            plaintext: plain,
+            ciphertext: numbers.join(' '),
+            numbers: numbers,
+            square: square,
+            polybiusKeyword: polybiusKeyword,
+            keyword: keyword,
+            keyNumbers: keyNumbers,
+            givenKeys: withCrib
+                ? [{ label: 'Polybius Key', value: polybiusKeyword }]
+                : [{ label: 'Polybius Key', value: polybiusKeyword }, { label: 'Key', value: keyword }],
+            keyAnswers: withCrib
+                ? [{ id: 'keyLength', label: 'Key Length', value: String(keyword.length) }, { id: 'keyword', label: 'Keyword', value: keyword }]
+                : [],
+            crib: crib
+        };
+    }
+
+    createCheckerboardCipher(plaintext, { withCrib }) {
+        const plain = plaintext.toUpperCase().replace(/J/g, 'I');
+
+        // Header keywords need five different letters, one per row or column
+        const hasUniqueLetters = word => word.length === 5 && new Set(word).size === 5;
+        const rowKeyword = this.getRandomKeyword(hasUniqueLetters, 'BLAZE');
+        const columnKeyword = this.getRandomKeyword(word => hasUniqueLetters(word) && word !== rowKeyword, 'STORM');
+        const polybiusKeyword = this.getRandomKeyword(word => word.length >= 5 && word !== rowKeyword && word !== columnKeyword);
+        const square = this.buildKeyedAlphabet(polybiusKeyword.replace(/J/g, 'I'), POLYBIUS_ALPHABET);
+
+        // Every letter becomes its row header followed by its column header
+        const mapping = {};
+        for (let i = 0; i < square.length; i++) {
+            mapping[square[i]] = rowKeyword[Math.floor(i / 5)] + columnKeyword[i % 5];
+        }
+
+        const ciphertext = plain.split('').map(char => mapping[char] || char).join('');
+
+        return {
+            type: withCrib ? 'checkerboardcrib' : 'checkerboard',
+            plaintext: plain,
+            ciphertext: ciphertext,
+            mapping: mapping,
+            reverseMapping: this.createReverseMapping(mapping),
+            square: square,
+            rowKeyword: rowKeyword,
+            columnKeyword: columnKeyword,
+            polybiusKeyword: polybiusKeyword,
+            givenKeys: withCrib ? [] : [
+                { label: 'Row Key', value: rowKeyword },
+                { label: 'Column Key', value: columnKeyword },
+                { label: 'Polybius Key', value: polybiusKeyword }
+            ],
+            crib: withCrib ? this.pickCrib(plain.replace(/[^A-Z ]/g, ''), 5) : null
+        };
+    }
+
+    // Word sums like SEND + MORE = MONEY: A + B = C, C - A = B, or A x B = C with all three terms
+    // drawn from the dictionary, kept only when exactly one digit assignment works. The final
+    // answer is another dictionary word spelled in the puzzle's letters, given as digits.
+    createCryptarithm() {
+        const wordsByLength = {};
+        this.dictionary.forEach(word => (wordsByLength[word.length] = wordsByLength[word.length] || []).push(word));
+        const pick = length => {
+            const words = wordsByLength[length] || [];
+            return words[Math.floor(this.random() * words.length)];
+        };
+
+        const operation = ['add', 'subtract', 'multiply'][Math.floor(this.random() * 3)];
+        // Term lengths that give enough columns of constraints for unique solutions to turn up
+        const shapes = operation === 'multiply' ? [[4, 2, 6], [3, 3, 6], [5, 2, 7]] : [[5, 5, 6], [6, 5, 6], [6, 6, 7]];
+
+        let puzzle = null;
+        for (let attempt = 0; attempt < 5000 && !puzzle && this.dictionary.length > 0; attempt++) {
+            const [left, right, result] = shapes[Math.floor(this.random() * shapes.length)].map(pick);
+            if (left === right || new Set(left + right + result).size > 10) continue;
+
+            const solutions = [];
+            if (this.countCryptarithmSolutions([left, right, result], operation === 'multiply' ? 'multiply' : 'add', 2, solutions) !== 1) continue;
+
+            // Subtraction is shown as C - A = B
+            const words = operation === 'subtract' ? [result, left, right] : [left, right, result];
+            const digitToLetter = new Array(10).fill('');
+            Object.entries(solutions[0]).forEach(([letter, digit]) => { digitToLetter[digit] = letter; });
+            puzzle = { operation, words, digitToLetter };
+        }
+
+        // Fall back to the classic if no unique puzzle turned up
+        if (!puzzle) {
+            puzzle = {
+                operation: 'add',
+                words: ['SEND', 'MORE', 'MONEY'],
+                digitToLetter: ['O', 'M', 'Y', '', '', 'E', 'N', 'D', 'R', 'S']
+            };
+        }
+
+        const letterToDigit = {};
+        puzzle.digitToLetter.forEach((letter, digit) => {
+            if (letter) letterToDigit[letter] = digit;
+        });
+        const phrases = this.dictionary.filter(word =>
+            word.length >= 4 && !puzzle.words.includes(word) && [...word].every(letter => letter in letterToDigit)
+        );
+        const answer = phrases.length > 0
+            ? phrases[Math.floor(this.random() * phrases.length)]
+            : puzzle.words[puzzle.words.length - 1];
+        const equation = `${puzzle.words[0]} ${CRYPTARITHM_OPERATORS[puzzle.operation]} ${puzzle.words[1]} = ${puzzle.words[2]}`;
+
+        return {
+            type: 'cryptarithm',
+            plaintext: answer,
+            ciphertext: puzzle.words.join(' '),
+            operation: puzzle.operation,
+            words: puzzle.words,
+            digitToLetter: puzzle.digitToLetter,
+            // The word to decode, given as the digits of its letters
+            phraseDigits: answer.split('').map(letter => letterToDigit[letter]),
+            displayLabel: 'Cryptarithm',
+            instructions: 'Find the digit for each letter, then decode the digits below.',
+            quote: {
+                author: '',
+                difficulty: { add: 2, subtract: 3, multiply: 4 }[puzzle.operation],
+                quote: equation,
+                hint: 'Each letter stands for a different digit, and no number starts with 0.',
+                cipherTypes: ['cryptarithm']
+            }
+        };
+    }
+
+    // Count digit assignments (stopping at limit) that satisfy the puzzle, adding each one found
+    // to solutions. Letters are assigned column by column from the right, pruning whenever the
+    // low digits already disagree.
+    countCryptarithmSolutions(words, operation, limit = 2, solutions = []) {
+        // Subtraction C - A = B is checked as the addition A + B = C
+        const [left, right, result] = operation === 'subtract' ? [words[1], words[2], words[0]] : words;
+        const combine = operation === 'multiply' ? (a, b) => a * b : (a, b) => a + b;
+        const terms = [left, right, result];
+        const maxLength = Math.max(...terms.map(word => word.length));
+        const leadingLetters = new Set(terms.filter(word => word.length > 1).map(word => word[0]));
+
+        // Letters first seen in each column, rightmost column first
+        const columns = [];
+        const seen = new Set();
+        for (let col = 0; col < maxLength; col++) {
+            const introduced = [];
+            for (const word of terms) {
+                const char = word[word.length - 1 - col];
+                if (char && !seen.has(char)) {
+                    seen.add(char);
+                    introduced.push(char);
+                }
+            }
+            columns.push(introduced);
+        }
+
+        const assignment = {};
+        const usedDigits = new Array(10).fill(false);
+        const valueOf = (word, digits) => word.slice(-digits).split('').reduce((total, char) => total * 10 + assignment[char], 0);
+        let count = 0;
+
+        const columnHolds = (col) => {
+            const digits = col + 1;
+            const combined = combine(valueOf(left, digits), valueOf(right, digits));
+            if (col === maxLength - 1) return combined === valueOf(result, digits);
+            const modulus = 10 ** digits;
+            return combined % modulus === valueOf(result, digits) % modulus;
+        };
+
+        const search = (col, index) => {
+            if (count >= limit) return;
+            if (col === maxLength) {
+                count++;
+                solutions.push({ ...assignment });
+                return;
+            }
+            if (index === columns[col].length) {
+                if (columnHolds(col)) search(col + 1, 0);
+                return;
+            }
+
+            const letter = columns[col][index];
+            for (let digit = leadingLetters.has(letter) ? 1 : 0; digit <= 9; digit++) {
+                if (usedDigits[digit]) continue;
+                usedDigits[digit] = true;
+                assignment[letter] = digit;
+                search(col, index + 1);
+                usedDigits[digit] = false;
+                delete assignment[letter];
+            }
+        };
+
+        search(0, 0);
+        return count;
+    }
+
+    // Row digit then column digit, both 1-5
+    polybiusNumber(square, letter) {
+        const index = square.indexOf(letter);
+        return (Math.floor(index / 5) + 1) * 10 + (index % 5) + 1;
+    }
+
+    // Columns are read off in alphabetical order of the keyword letters, ties left to right
+    getKeywordColumnOrder(keyword) {
+        return [...keyword].map((char, i) => ({ char, i }))
+            .sort((a, b) => a.char.localeCompare(b.char) || a.i - b.i)
+            .map(entry => entry.i);
+    }
+
+    getRandomKeyword(filter = () => true, fallback = 'CIPHER') {
+        const candidates = this.keywords.filter(filter);
+        if (candidates.length === 0) return fallback;
+        return candidates[Math.floor(this.random() * candidates.length)];
+    }
+
+    // Keyword letters (duplicates dropped) followed by the rest of the alphabet in order
+    buildKeyedAlphabet(keyword, alphabet = ENGLISH_ALPHABET) {
+        const letters = [];
+        for (const char of keyword.toUpperCase() + alphabet) {
+            if (alphabet.includes(char) && !letters.includes(char)) {
+                letters.push(char);
+            }
+        }
+        return letters.join('');
+    }
+
+    // Pick a plaintext word to give away as the crib, preferring words of 4+ letters
+    pickCrib(plain, minLength = 4) {
+        const words = plain.split(' ').map(word => word.replace(/[^A-Z]/g, '')).filter(Boolean);
+        const candidates = words.filter(word => word.length >= minLength);
+        if (candidates.length === 0) {
+            return words.reduce((longest, word) => (word.length > longest.length ? word : longest), '');
+        }
+        return candidates[Math.floor(this.random() * candidates.length)];
+    }
+
     fisherYatesShuffle(array) {
         const arr = [...array];
         for (let i = arr.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = Math.floor(this.random() * (i + 1));
             [arr[i], arr[j]] = [arr[j], arr[i]];
         }
         return arr;
@@ -236,12 +2606,61 @@ class CodebustersCipherGame {
         const pauseBtn = this.container.querySelector('#pauseBtn');
         const autoHighlightToggle = this.container.querySelector('#autoHighlightToggle');
         const cipherTypeSelect = this.container.querySelector('#cipherTypeSelect');
+        const alphabetTypeSelect = this.container.querySelector('#alphabetTypeSelect');
+        const askKeywordToggle = this.container.querySelector('#askKeywordToggle');
+        const patristocratFormatSelect = this.container.querySelector('#patristocratFormatSelect');
+        const quoteFiltersPanel = this.container.querySelector('.quote-filters');
+        const mockTestBtn = this.container.querySelector('#mockTestBtn');
+        const statsBtn = this.container.querySelector('#statsBtn');
+        const analysisToggle = this.container.querySelector('#analysisToggle');
+        const shareBtn = this.container.querySelector('#shareBtn');
+        const quoteBankBtn = this.container.querySelector('#quoteBankBtn');
 
-        checkBtn?.addEventListener('click', () => this.checkSolution());
+        checkBtn?.addEventListener('click', () => this.checkSolution(true));
         generateBtn?.addEventListener('click', () => this.generateNewCipher());
         pauseBtn?.addEventListener('click', () => this.togglePause());
         autoHighlightToggle?.addEventListener('click', () => this.toggleAutoHighlight());
         cipherTypeSelect?.addEventListener('change', (e) => this.changeCipherType(e.target.value));
+        alphabetTypeSelect?.addEventListener('change', (e) => this.changeAlphabetType(e.target.value));
+        askKeywordToggle?.addEventListener('change', (e) => this.toggleAskForKeyword(e.target.checked));
+        patristocratFormatSelect?.addEventListener('change', (e) => this.changePatristocratFormat(e.target.value));
+        quoteFiltersPanel?.addEventListener('toggle', () => { this.quoteFiltersOpen = quoteFiltersPanel.open; });
+        // Set as a property so quote marks in the search can't break out of an attribute
+        if (quoteFiltersPanel) {
+            quoteFiltersPanel.querySelector('#quoteSearchInput').value = this.quoteFilters.search;
+        }
+        quoteFiltersPanel?.querySelectorAll('[data-filter]').forEach(field => {
+            field.addEventListener('change', () => this.changeQuoteFilters({ [field.dataset.filter]: field.value }));
+        });
+        mockTestBtn?.addEventListener('click', () => this.showTestSetup());
+        statsBtn?.addEventListener('click', () => this.showStats());
+        analysisToggle?.addEventListener('click', () => this.toggleAnalysis());
+        shareBtn?.addEventListener('click', () => this.shareCurrentPuzzle());
+        quoteBankBtn?.addEventListener('click', () => this.showQuoteEditor());
+        this.container.querySelectorAll('.hint-btn').forEach(button => {
+            button.addEventListener('click', () => this.useHint(button.dataset.hint));
+        });
+
+        if (this.testSession) {
+            this.attachTestListeners();
+        }
+    }
+
+    attachTestListeners() {
+        const { currentIndex } = this.testSession;
+
+        this.container.querySelector('#prevQuestionBtn')?.addEventListener('click', () => this.showTestQuestion(currentIndex - 1));
+        this.container.querySelector('#nextQuestionBtn')?.addEventListener('click', () => this.showTestQuestion(currentIndex + 1));
+        this.container.querySelector('#submitTimedBtn')?.addEventListener('click', () => this.submitTimedQuestion());
+        this.container.querySelector('#finishTestBtn')?.addEventListener('click', () => {
+            if (confirm('Finish the test and see your score?')) {
+                this.finishTest();
+            }
+        });
+
+        this.container.querySelectorAll('.test-question-link').forEach(link => {
+            link.addEventListener('click', () => this.showTestQuestion(Number(link.dataset.questionIndex)));
+        });
     }
 
     startTimer() {
@@ -251,6 +2670,11 @@ class CodebustersCipherGame {
             if (!this.isPaused) {
                 this.elapsedSeconds++;
                 this.updateTimerDisplay();
+                this.saveProgress();
+
+                if (this.testSession && this.elapsedSeconds >= this.testSession.durationSeconds) {
+                    this.finishTest();
+                }
             }
         }, 1000);
     }
@@ -258,14 +2682,21 @@ class CodebustersCipherGame {
     updateTimerDisplay() {
         const timerEl = this.container.querySelector('#timer');
         if (timerEl) {
-            const mins = Math.floor(this.elapsedSeconds / 60);
-            const secs = this.elapsedSeconds % 60;
-            timerEl.textContent = `${mins}:${secs.toString().padStart(2, '0')}`;
+            // Mock tests count down from the time limit
+            const seconds = this.testSession
+                ? Math.max(0, this.testSession.durationSeconds - this.elapsedSeconds)
+                : this.elapsedSeconds;
+            timerEl.textContent = this.formatTime(seconds);
         }
     }
 
+    formatTime(seconds) {
+        return `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+    }
+
     togglePause() {
         this.isPaused = !this.isPaused;
+        this.saveProgress();
         const pauseBtn = this.container.querySelector('#pauseBtn');
         const cipherArea = this.container.querySelector('.cipher-area');
         const pauseOverlay = this.container.querySelector('.pause-overlay');
@@ -291,11 +2722,60 @@ class CodebustersCipherGame {
     }
 
     validateAnswers() {
-        if (this.cipherType === 'baconian') {
-            this.validateBaconianAnswers();
+        if (this.usesPlaintextBoxes()) {
+            this.validatePlaintextAnswers();
         } else {
             this.validateSubstitutionAnswers();
         }
+
+        if (this.cipherType === 'fractionatedmorse') {
+            this.validateMorseTable();
+        }
+
+        if (this.isHillCipher()) {
+            this.validateMatrixBoxes();
+        }
+
+        if (this.isCheckerboardCipher()) {
+            this.validateCheckerboardGrid();
+        }
+
+        if (this.cipherType === 'cryptarithm') {
+            this.validateDigitTable();
+        }
+
+        this.validateKeyAnswers();
+    }
+
+    // Ciphers answered letter-by-letter in plaintext order rather than per cipher letter
+    usesPlaintextBoxes() {
+        return ['baconian', 'fractionatedmorse', 'porta', 'portacrib', 'hill2x2', 'hill3x3', 'columnar', 'columnarcrib', 'nihilist', 'nihilistcrib', 'cryptarithm'].includes(this.cipherType);
+    }
+
+    isNihilistCipher() {
+        return this.cipherType === 'nihilist' || this.cipherType === 'nihilistcrib';
+    }
+
+    // Polybius-based ciphers have no separate J, so a typed J means I
+    mergesIJ() {
+        return this.isNihilistCipher() || this.isCheckerboardCipher();
+    }
+
+    isCheckerboardCipher() {
+        return this.cipherType === 'checkerboard' || this.cipherType === 'checkerboardcrib';
+    }
+
+    isColumnarCipher() {
+        return this.cipherType === 'columnar' || this.cipherType === 'columnarcrib';
+    }
+
+    isHillCipher() {
+        return this.cipherType === 'hill2x2' || this.cipherType === 'hill3x3';
+    }
+
+    // Text the plaintext-indexed boxes are checked against; encryption problems expect ciphertext
+    getAnswerText() {
+        return this.currentCipher.answer || this.currentCipher.plaintext;
     }
 
     validateSubstitutionAnswers() {
@@ -318,9 +2798,9 @@ class CodebustersCipherGame {
         });
     }
 
-    validateBaconianAnswers() {
+    validatePlaintextAnswers() {
         const boxes = this.container.querySelectorAll('.letter-box');
-        const plaintext = this.currentCipher.plaintext;
+        const plaintext = this.getAnswerText();
         let plainIndex = 0;
 
         boxes.forEach((box) => {
@@ -348,9 +2828,45 @@ class CodebustersCipherGame {
         });
     }
 
-    checkSolution() {
-        if (this.cipherType === 'baconian') {
-            this.checkBaconianSolution();
+    // Only checks the student asks for count toward the solve stats; the automatic check once
+    // every box is filled just marks the answers
+    checkSolution(userInitiated = false) {
+        // Mock test answers are only marked when the test is scored
+        if (this.testSession) return;
+
+        this.markSolution();
+        this.noteWrongAnswers();
+        if (userInitiated) this.checkCount++;
+
+        if (this.validationState === 'solved') {
+            this.recordSolve();
+            this.saveProgress();
+        }
+    }
+
+    markSolution() {
+        if (this.cipherType === 'fractionatedmorse') {
+            this.validateMorseTable();
+        }
+
+        if (this.isCheckerboardCipher()) {
+            this.validateCheckerboardGrid();
+        }
+
+        if (this.isHillCipher()) {
+            // Matrix-only problems are solved by the matrix; otherwise it's optional working
+            const matrixCorrect = this.validateMatrixBoxes();
+            if (this.currentCipher.problem === 'matrix') {
+                if (matrixCorrect) {
+                    this.validationState = 'solved';
+                    this.renderSolvedMessage();
+                }
+                return;
+            }
+        }
+
+        if (this.usesPlaintextBoxes()) {
+            this.checkPlaintextSolution();
         } else {
             this.checkSubstitutionSolution();
         }
@@ -379,17 +2895,19 @@ class CodebustersCipherGame {
             }
         });
 
-        if (allCorrect && !anyEmpty && boxes.length > 0) {
+        const keyAnswersCorrect = this.validateKeyAnswers();
+
+        if (allCorrect && !anyEmpty && boxes.length > 0 && keyAnswersCorrect) {
             this.validationState = 'solved';
             this.renderSolvedMessage();
         }
     }
 
-    checkBaconianSolution() {
+    checkPlaintextSolution() {
         let allCorrect = true;
         let anyEmpty = false;
         const boxes = this.container.querySelectorAll('.letter-box');
-        const plaintext = this.currentCipher.plaintext;
+        const plaintext = this.getAnswerText();
         let plainIndex = 0;
 
         boxes.forEach((box) => {
@@ -418,58 +2936,309 @@ class CodebustersCipherGame {
             plainIndex++;
         });
 
-        if (allCorrect && !anyEmpty && boxes.length > 0) {
+        const keyAnswersCorrect = this.validateKeyAnswers();
+
+        if (allCorrect && !anyEmpty && boxes.length > 0 && keyAnswersCorrect) {
             this.validationState = 'solved';
             this.renderSolvedMessage();
         }
     }
 
+    validateMorseTable() {
+        const boxes = this.container.querySelectorAll('.replacement-box');
+
+        boxes.forEach((box) => {
+            const userLetter = box.value.toUpperCase();
+            const correctLetter = this.currentCipher.tripletToLetter[box.dataset.triplet];
+
+            if (userLetter === '') {
+                box.classList.remove('correct', 'incorrect');
+            } else if (userLetter === correctLetter) {
+                box.classList.add('correct');
+                box.classList.remove('incorrect');
+            } else {
+                box.classList.add('incorrect');
+                box.classList.remove('correct');
+            }
+        });
+    }
+
+    // Marks the key answer fields (key length, keyword) and reports whether all of them are correct
+    validateKeyAnswers() {
+        const fields = this.container.querySelectorAll('.key-answer');
+        let allCorrect = true;
+
+        fields.forEach((field) => {
+            const answer = (this.currentCipher.keyAnswers || []).find(a => a.id === field.dataset.answerId);
+            const userValue = field.value.trim().toUpperCase();
+
+            if (userValue === '') {
+                field.classList.remove('correct', 'incorrect');
+                allCorrect = false;
+            } else if (answer && userValue === answer.value) {
+                field.classList.add('correct');
+                field.classList.remove('incorrect');
+            } else {
+                field.classList.add('incorrect');
+                field.classList.remove('correct');
+                allCorrect = false;
+            }
+        });
+
+        return allCorrect;
+    }
+
+    validateDigitTable() {
+        const boxes = this.container.querySelectorAll('.digit-box');
+
+        boxes.forEach((box) => {
+            const userLetter = box.value.toUpperCase();
+            const correctLetter = this.currentCipher.digitToLetter[box.dataset.digit];
+
+            if (userLetter === '') {
+                box.classList.remove('correct', 'incorrect');
+            } else if (userLetter === correctLetter) {
+                box.classList.add('correct');
+                box.classList.remove('incorrect');
+            } else {
+                box.classList.add('incorrect');
+                box.classList.remove('correct');
+            }
+        });
+    }
+
+    validateCheckerboardGrid() {
+        const boxes = this.container.querySelectorAll('.grid-box');
+
+        boxes.forEach((box) => {
+            const userLetter = box.value.toUpperCase();
+            const correctLetter = this.currentCipher.reverseMapping[box.dataset.cipherLetter];
+
+            if (userLetter === '') {
+                box.classList.remove('correct', 'incorrect');
+            } else if (userLetter === correctLetter) {
+                box.classList.add('correct');
+                box.classList.remove('incorrect');
+            } else {
+                box.classList.add('incorrect');
+                box.classList.remove('correct');
+            }
+        });
+    }
+
+    // Marks each matrix cell and reports whether every cell is filled in correctly
+    validateMatrixBoxes() {
+        const boxes = this.container.querySelectorAll('.matrix-box');
+        let allCorrect = boxes.length > 0;
+
+        boxes.forEach((box) => {
+            const correctValue = this.currentCipher.decryptionMatrix[box.dataset.row][box.dataset.col];
+
+            if (box.value === '') {
+                box.classList.remove('correct', 'incorrect');
+                allCorrect = false;
+            } else if (Number(box.value) === correctValue) {
+                box.classList.add('correct');
+                box.classList.remove('incorrect');
+            } else {
+                box.classList.add('incorrect');
+                box.classList.remove('correct');
+                allCorrect = false;
+            }
+        });
+
+        return allCorrect;
+    }
+
     renderSolvedMessage() {
         const feedbackEl = this.container.querySelector('#feedback');
+        const points = this.getQuestionPoints();
+        const hintCount = this.hintsUsed.length;
+        const hintNote = hintCount === 0 ? '' : ` (${hintCount} ${hintCount === 1 ? 'hint' : 'hints'}, −${this.getHintPenalty()})`;
         feedbackEl.innerHTML = `
             <div style="background: var(--color-success, #10b981); color: white; padding: var(--space-4); border-radius: var(--border-radius-lg); text-align: center;">
-                <strong>Correct!</strong> You solved it in ${Math.floor(this.elapsedSeconds / 60)}:${(this.elapsedSeconds % 60).toString().padStart(2, '0')}
+                <strong>Correct!</strong> You solved it in ${this.formatTime(this.elapsedSeconds)}
+                &middot; Score: ${Math.max(0, points - this.getHintPenalty())} of ${points}${hintNote}
             </div>
         `;
         feedbackEl.style.display = 'block';
     }
 
     getCipherTypeName() {
-        return this.cipherType.charAt(0).toUpperCase() + this.cipherType.slice(1);
+        const info = CIPHER_TYPES[this.cipherType];
+        return info.name || info.label;
+    }
+
+    renderCipherTypeOptions() {
+        return Object.entries(CIPHER_TYPES).map(([type, info]) =>
+            `<option value="${type}" ${this.cipherType === type ? 'selected' : ''}>${info.label}</option>`
+        ).join('');
+    }
+
+    renderAlphabetTypeSelector() {
+        if (!this.usesKeyedAlphabets()) return '';
+
+        const options = Object.entries(ALPHABET_TYPES).map(([type, label]) =>
+            `<option value="${type}" ${this.alphabetType === type ? 'selected' : ''}>${label}</option>`
+        ).join('');
+        const keywordToggle = this.alphabetType === 'random' ? '' : `
+            <label class="cipher-option-toggle">
+                <input type="checkbox" id="askKeywordToggle" ${this.askForKeyword ? 'checked' : ''}>
+                Identify the keyword
+            </label>`;
+
+        return `
+            <div class="cipher-type-selector">
+                <label for="alphabetTypeSelect">Alphabet:</label>
+                <select id="alphabetTypeSelect">
+                    ${options}
+                </select>
+                ${keywordToggle}
+            </div>
+        `;
+    }
+
+    renderPatristocratFormatSelector() {
+        if (this.cipherType !== 'patristocrat') return '';
+
+        const options = Object.entries(PATRISTOCRAT_FORMATS).map(([format, { label }]) =>
+            `<option value="${format}" ${this.patristocratFormat === format ? 'selected' : ''}>${label}</option>`
+        ).join('');
+
+        return `
+            <div class="cipher-type-selector">
+                <label for="patristocratFormatSelect">Layout:</label>
+                <select id="patristocratFormatSelect">
+                    ${options}
+                </select>
+            </div>
+        `;
+    }
+
+    // Difficulty, length and author/topic limits on the quotes a new cipher is drawn from
+    renderQuoteFilters() {
+        if (!CIPHER_TYPES[this.cipherType].quoteTag) return '';
+
+        const { minStars, maxStars, minLetters, maxLetters } = this.quoteFilters;
+        const starOptions = selected => [1, 2, 3, 4, 5].map(stars =>
+            `<option value="${stars}" ${selected === stars ? 'selected' : ''}>${'★'.repeat(stars)}</option>`
+        ).join('');
+        const authors = [...new Set(this.quotes.map(quote => quote.author).filter(Boolean))].sort()
+            .map(author => `<option>${this.escapeHtml(author)}</option>`).join('');
+        const matching = this.quotes.filter(quote => this.matchesQuoteFilters(quote)).length;
+
+        return `
+            <details class="quote-filters" ${this.quoteFiltersOpen ? 'open' : ''}>
+                <summary>Quote Filters${this.hasActiveQuoteFilters() ? ` (${matching} of ${this.quotes.length} quotes)` : ''}</summary>
+                <div class="cipher-type-selector">
+                    <label for="minStarsSelect">Difficulty:</label>
+                    <select id="minStarsSelect" data-filter="minStars">${starOptions(minStars)}</select>
+                    <label for="maxStarsSelect">to</label>
+                    <select id="maxStarsSelect" data-filter="maxStars">${starOptions(maxStars)}</select>
+                </div>
+                <div class="cipher-type-selector">
+                    <label for="minLettersInput">Letters:</label>
+                    <input type="number" id="minLettersInput" data-filter="minLetters" min="1" placeholder="Any" value="${minLetters ?? ''}">
+                    <label for="maxLettersInput">to</label>
+                    <input type="number" id="maxLettersInput" data-filter="maxLetters" min="1" placeholder="Any" value="${maxLetters ?? ''}">
+                </div>
+                <div class="cipher-type-selector">
+                    <label for="quoteSearchInput">Author or Topic:</label>
+                    <input type="search" id="quoteSearchInput" data-filter="search" list="quoteAuthorList" placeholder="Any">
+                    <datalist id="quoteAuthorList">${authors}</datalist>
+                </div>
+                ${matching === 0 ? '<p class="hint">No quotes match these filters, so they are being ignored.</p>' : ''}
+            </details>
+        `;
+    }
+
+    renderKeyHint() {
+        const givenKeys = this.currentCipher.givenKeys || [];
+        return givenKeys.map(key =>
+            `<p class="hint key-hint"><strong>${key.label}:</strong> <span class="crib-text">${this.escapeHtml(key.value)}</span></p>`
+        ).join('');
+    }
+
+    renderInstructions() {
+        if (!this.currentCipher.instructions) return '';
+        return `<p class="hint"><strong>Task:</strong> ${this.currentCipher.instructions}</p>`;
+    }
+
+    renderCribHint() {
+        if (!this.currentCipher.crib) return '';
+        return `<p class="hint crib-hint"><strong>Crib:</strong> The plaintext contains <span class="crib-text">${this.escapeHtml(this.currentCipher.crib)}</span></p>`;
+    }
+
+    // Buttons for the hints that apply, with their cost and the total spent so far
+    renderHintBar() {
+        const buttons = this.getAvailableHints().map(type =>
+            `<button class="btn btn-outline hint-btn" data-hint="${type}">${HINT_TYPES[type].label} (−${HINT_TYPES[type].penalty})</button>`
+        ).join('');
+        const count = this.hintsUsed.length;
+
+        return `
+            <div class="hint-bar">
+                <span class="hint-bar-label">Hints:</span>
+                ${buttons}
+                ${count === 0 ? '' : `<span class="hint-bar-used">${count} used, −${this.getHintPenalty()} points</span>`}
+            </div>
+        `;
+    }
+
+    renderBaconianGrouping() {
+        if (!this.hintsUsed.includes('baconian')) return '';
+
+        const groups = Object.entries(this.currentCipher.baconianMap).map(([letter, code]) =>
+            `<span class="baconian-grouping-item"><strong>${letter}</strong> ${code}</span>`
+        ).join('');
+        return `
+            <div class="hint baconian-grouping">
+                <strong>A/B Grouping:</strong> each group of five A/B symbols stands for one letter
+                <div class="baconian-grouping-table">${groups}</div>
+            </div>
+        `;
     }
 
     render() {
+        const difficulty = this.getQuoteDifficulty();
+        const analysisSidebar = this.renderAnalysisSidebar();
         this.container.innerHTML = `
             <div class="cipher-container">
                 <!-- Header -->
                 <div class="cipher-header">
                     <div class="cipher-info">
+                        ${this.testSession ? this.renderTestProgress() : `
                         <div class="cipher-type-selector">
                             <label for="cipherTypeSelect">Cipher Type:</label>
                             <select id="cipherTypeSelect">
-                                <option value="aristocrat" ${this.cipherType === 'aristocrat' ? 'selected' : ''}>Aristocrat</option>
-                                <option value="patristocrat" ${this.cipherType === 'patristocrat' ? 'selected' : ''}>Patristocrat</option>
-                                <option value="baconian" ${this.cipherType === 'baconian' ? 'selected' : ''}>Baconian</option>
+                                ${this.renderCipherTypeOptions()}
                             </select>
                         </div>
+                        ${this.renderAlphabetTypeSelector()}
+                        ${this.renderPatristocratFormatSelector()}
+                        ${this.renderQuoteFilters()}`}
                         <h2>${this.getCipherTypeName()} Cipher</h2>
-                        <p class="difficulty" data-difficulty="${this.currentQuote.difficulty}">
-                            Difficulty: ${'★'.repeat(this.currentQuote.difficulty)}${'☆'.repeat(5 - this.currentQuote.difficulty)}
+                        <p class="difficulty" data-difficulty="${difficulty}">
+                            Difficulty: ${'★'.repeat(difficulty)}${'☆'.repeat(5 - difficulty)}
                         </p>
-                        <p class="hint"><strong>Hint:</strong> ${this.currentQuote.hint}</p>
+                        ${this.currentQuote.hint ? `<p class="hint"><strong>Hint:</strong> ${this.escapeHtml(this.currentQuote.hint)}</p>` : ''}
+                        ${this.renderInstructions()}
+                        ${this.renderKeyHint()}
+                        ${this.renderCribHint()}
+                        ${this.renderBaconianGrouping()}
                     </div>
                     
                     <div class="cipher-controls">
                         <div class="timer-display">
-                            <span style="font-size: var(--font-size-sm); color: var(--color-text-secondary);">Time:</span>
+                            <span style="font-size: var(--font-size-sm); color: var(--color-text-secondary);">${this.testSession ? 'Time Left' : 'Time'}:</span>
                             <div id="timer" style="font-size: var(--font-size-2xl); font-weight: bold; font-family: monospace;">0:00</div>
                         </div>
-                        <button id="pauseBtn" class="btn btn-secondary">Pause</button>
+                        ${this.testSession ? '' : '<button id="pauseBtn" class="btn btn-secondary">Pause</button>'}
                     </div>
                 </div>
 
                 <!-- Cipher Area -->
-                <div class="cipher-area">
+                <div class="cipher-area ${analysisSidebar ? 'with-analysis' : ''}">
                     <!-- Pause Overlay -->
                     <div class="pause-overlay" style="display: none;">
                         <div style="text-align: center; color: white;">
@@ -480,54 +3249,386 @@ class CodebustersCipherGame {
 
                     <!-- Cipher Text -->
                     <div class="cipher-text-section">
-                        <label style="display: block; margin-bottom: var(--space-2); font-size: var(--font-size-sm); color: var(--color-text-secondary);">Encrypted Message:</label>
-                        <div class="cipher-display">
-                            ${this.renderCipherDisplay()}
+                        <label style="display: block; margin-bottom: var(--space-2); font-size: var(--font-size-sm); color: var(--color-text-secondary);">${this.currentCipher.displayLabel || 'Encrypted Message'}:</label>
+                        <div class="cipher-display-row">
+                            <div class="cipher-display">
+                                ${this.renderCipherDisplay()}
+                            </div>
+                            ${this.renderReferencePanel()}
+                        </div>
+                        ${this.renderCipherWorkspace()}
+                    </div>
+
+                    <!-- Solution Boxes -->
+                    <div class="solution-section">
+                        <label style="display: block; margin-bottom: var(--space-2); font-size: var(--font-size-sm); color: var(--color-text-secondary);">Your Solution:</label>
+                        <div class="solution-display">
+                            ${this.renderSolutionBoxes()}
                         </div>
+                        ${this.renderKeyAnswerFields()}
                     </div>
 
-                    <!-- Solution Boxes -->
-                    <div class="solution-section">
-                        <label style="display: block; margin-bottom: var(--space-2); font-size: var(--font-size-sm); color: var(--color-text-secondary);">Your Solution:</label>
-                        <div class="solution-display">
-                            ${this.renderSolutionBoxes()}
-                        </div>
-                    </div>
+                    ${analysisSidebar}
+                </div>
+
+                <!-- Feedback -->
+                <div id="feedback" style="display: none; margin: var(--space-4) 0;"></div>
+
+                ${this.renderHintBar()}
+
+                <!-- Buttons -->
+                ${this.testSession ? this.renderTestButtons() : `
+                <div class="cipher-buttons">
+                    <button id="autoHighlightToggle" class="btn btn-outline ${this.autoHighlightEnabled ? 'active' : ''}" title="Toggle automatic checking of answers">
+                        Auto Check: <span id="highlightStatus">${this.autoHighlightEnabled ? 'ON' : 'OFF'}</span>
+                    </button>
+                    <button id="checkBtn" class="btn btn-primary">Check Answer</button>
+                    <button id="generateBtn" class="btn btn-secondary">Generate New</button>
+                    <button id="mockTestBtn" class="btn btn-outline">Mock Test</button>
+                    ${this.usesAnalysis() ? `
+                    <button id="analysisToggle" class="btn btn-outline ${this.showAnalysis ? 'active' : ''}" title="Show pattern words, digraphs and a candidate key">
+                        Analysis: ${this.showAnalysis ? 'ON' : 'OFF'}
+                    </button>` : ''}
+                    <button id="statsBtn" class="btn btn-outline">Stats</button>
+                    <button id="quoteBankBtn" class="btn btn-outline">Quote Bank</button>
+                    ${this.canShare() ? '<button id="shareBtn" class="btn btn-outline">Share Link</button>' : ''}
+                </div>`}
+
+                <!-- Attribution -->
+                ${this.currentQuote.author ? `
+                <div class="cipher-attribution">
+                    <p style="font-size: var(--font-size-sm); color: var(--color-text-secondary);">
+                        Quote by <strong>${this.escapeHtml(this.currentQuote.author)}</strong>
+                    </p>
+                </div>` : ''}
+            </div>
+        `;
+
+        this.attachInputListeners();
+        this.setupEventListeners();
+        this.updateTimerDisplay();
+    }
+
+    renderTestProgress() {
+        const { questions, currentIndex } = this.testSession;
+        const question = questions[currentIndex];
+        return `
+            <p class="test-progress">
+                Question ${currentIndex + 1} of ${questions.length} &middot; ${question.points} points
+                ${currentIndex === 0 ? '<span class="test-timed-badge">Timed</span>' : ''}
+            </p>
+        `;
+    }
+
+    renderTestButtons() {
+        const { questions, currentIndex } = this.testSession;
+        const links = questions.map((question, i) => {
+            const classes = ['test-question-link'];
+            if (i === currentIndex) classes.push('current');
+            if (question.userSolution.size > 0) classes.push('answered');
+            return `<button class="${classes.join(' ')}" data-question-index="${i}" title="${CIPHER_TYPES[question.cipherType].label}">${i + 1}</button>`;
+        }).join('');
+
+        return `
+            <div class="test-question-nav">${links}</div>
+            <div class="cipher-buttons">
+                <button id="prevQuestionBtn" class="btn btn-secondary" ${currentIndex === 0 ? 'disabled' : ''}>Previous</button>
+                ${currentIndex === 0 && this.canSubmitTimedQuestion() ? '<button id="submitTimedBtn" class="btn btn-outline">Submit Timed Question</button>' : ''}
+                <button id="nextQuestionBtn" class="btn btn-secondary" ${currentIndex === questions.length - 1 ? 'disabled' : ''}>Next</button>
+                <button id="finishTestBtn" class="btn btn-primary">Finish Test</button>
+            </div>
+        `;
+    }
+
+    renderCipherDisplay() {
+        if (this.cipherType === 'baconian') {
+            return this.renderBaconianCipherDisplay();
+        } else if (this.cipherType === 'fractionatedmorse') {
+            return this.renderFractionatedMorseCipherDisplay();
+        } else if (this.cipherType === 'porta' || this.cipherType === 'portacrib') {
+            return this.renderBlockCipherDisplay(5);
+        } else if (this.isHillCipher()) {
+            return this.renderBlockCipherDisplay(this.currentCipher.size, this.currentCipher.displayText);
+        } else if (this.isColumnarCipher()) {
+            return this.renderBlockCipherDisplay(5);
+        } else if (this.isNihilistCipher()) {
+            return this.renderNihilistCipherDisplay();
+        } else if (this.isCheckerboardCipher()) {
+            return this.renderCheckerboardCipherDisplay();
+        } else if (this.cipherType === 'cryptarithm') {
+            return this.renderCryptarithmDisplay();
+        } else if (this.cipherType === 'patristocrat') {
+            return this.renderPatristocratCipherDisplay();
+        } else {
+            return this.renderAristocratCipherDisplay();
+        }
+    }
+
+    // Extra panels shown under the encrypted message (tables, grids, reference material)
+    renderCipherWorkspace() {
+        switch (this.cipherType) {
+            case 'fractionatedmorse':
+                return this.renderMorseReplacementTable();
+            case 'hill2x2':
+                // Room to work out the inverse before decrypting
+                return this.currentCipher.problem === 'decrypt' ? this.renderMatrixInputGrid() : '';
+            case 'columnar':
+            case 'columnarcrib':
+                return this.renderColumnarWorkspace();
+            case 'checkerboard':
+            case 'checkerboardcrib':
+                return this.renderCheckerboardGrid();
+            case 'cryptarithm':
+                return this.renderDigitTable();
+            case 'aristocrat':
+            case 'patristocrat':
+            case 'xenocrypt':
+                return this.renderFrequencyTable();
+            default:
+                return '';
+        }
+    }
+
+    // Reference material shown beside the encrypted message
+    renderReferencePanel() {
+        switch (this.cipherType) {
+            case 'porta':
+            case 'portacrib':
+                return this.renderPortaTable();
+            case 'hill2x2':
+            case 'hill3x3':
+                return this.renderHillMatrixPanel();
+            default:
+                return '';
+        }
+    }
+
+    renderPortaTable() {
+        const header = ENGLISH_ALPHABET.slice(0, 13).split('').map(char => `<th>${char}</th>`).join('');
+        let rows = '';
+        for (let row = 0; row < 13; row++) {
+            const keyPair = ENGLISH_ALPHABET[row * 2] + ',' + ENGLISH_ALPHABET[row * 2 + 1];
+            const cells = ENGLISH_ALPHABET.slice(0, 13).split('').map(char =>
+                `<td>${this.portaEncryptLetter(char, ENGLISH_ALPHABET[row * 2])}</td>`
+            ).join('');
+            rows += `<tr><th>${keyPair}</th>${cells}</tr>`;
+        }
+
+        return `
+            <aside class="reference-panel">
+                <div class="reference-panel-title">Porta Table</div>
+                <table class="reference-table">
+                    <tr><th>Key</th>${header}</tr>
+                    ${rows}
+                </table>
+            </aside>
+        `;
+    }
+
+    renderHillMatrixPanel() {
+        const { label, matrix } = this.currentCipher.referenceMatrix;
+        const rows = matrix.map(row =>
+            `<tr>${row.map(value => `<td>${value}</td>`).join('')}</tr>`
+        ).join('');
+
+        return `
+            <aside class="reference-panel">
+                <div class="reference-panel-title">${label}</div>
+                <table class="reference-table matrix-table">
+                    ${rows}
+                </table>
+            </aside>
+        `;
+    }
+
+    renderMatrixInputGrid() {
+        const size = this.currentCipher.size;
+        let rows = '';
+        for (let row = 0; row < size; row++) {
+            let cells = '';
+            for (let col = 0; col < size; col++) {
+                const value = this.userSolution.get(`matrix_${row}_${col}`) || '';
+                cells += `
+                    <td>
+                        <input 
+                            type="text" 
+                            inputmode="numeric"
+                            class="matrix-box" 
+                            maxlength="2" 
+                            placeholder="_"
+                            value="${value}"
+                            data-row="${row}"
+                            data-col="${col}"
+                        >
+                    </td>
+                `;
+            }
+            rows += `<tr>${cells}</tr>`;
+        }
+
+        return `
+            <div class="matrix-input-section">
+                <label style="display: block; margin: var(--space-4) 0 var(--space-2); font-size: var(--font-size-sm); color: var(--color-text-secondary);">Decryption Matrix:</label>
+                <table class="matrix-grid">
+                    ${rows}
+                </table>
+            </div>
+        `;
+    }
+
+    // Ciphertext cut into equal columns that the solver drags (or moves with arrow keys) into reading order
+    renderColumnarWorkspace() {
+        const numColumns = this.getColumnarColumnCount();
+        const columns = this.splitIntoColumns(this.currentCipher.ciphertext, numColumns);
+        const order = this.getColumnarOrder(numColumns);
+
+        // The column count is only known up front when the keyword is given
+        let countSelector = '';
+        if (this.cipherType === 'columnarcrib') {
+            const options = this.getColumnCountOptions().map(count =>
+                `<option value="${count}" ${count === numColumns ? 'selected' : ''}>${count}</option>`
+            ).join('');
+            countSelector = `
+                <div class="cipher-type-selector">
+                    <label for="columnCountSelect">Columns:</label>
+                    <select id="columnCountSelect">${options}</select>
                 </div>
+            `;
+        }
 
-                <!-- Feedback -->
-                <div id="feedback" style="display: none; margin: var(--space-4) 0;"></div>
+        const strips = order.map((column, position) => `
+            <div class="column-strip" draggable="true" tabindex="0" data-position="${position}" title="Drag, or focus and use the arrow keys, to move this column">
+                <div class="column-label">${column + 1}</div>
+                ${columns[column].split('').map(char => `<span class="column-letter">${char}</span>`).join('')}
+            </div>
+        `).join('');
 
-                <!-- Buttons -->
-                <div class="cipher-buttons">
-                    <button id="autoHighlightToggle" class="btn btn-outline ${this.autoHighlightEnabled ? 'active' : ''}" title="Toggle automatic checking of answers">
-                        Auto Check: <span id="highlightStatus">${this.autoHighlightEnabled ? 'ON' : 'OFF'}</span>
-                    </button>
-                    <button id="checkBtn" class="btn btn-primary">Check Answer</button>
-                    <button id="generateBtn" class="btn btn-secondary">Generate New</button>
+        return `
+            <div class="columnar-workspace">
+                <label style="display: block; margin: var(--space-4) 0 var(--space-2); font-size: var(--font-size-sm); color: var(--color-text-secondary);">Column Workspace:</label>
+                ${countSelector}
+                <div class="column-strips">${strips}</div>
+                <div class="columnar-reading">
+                    <span style="font-size: var(--font-size-sm); color: var(--color-text-secondary);">Reads as:</span>
+                    <span class="crib-text">${this.readColumnarArrangement(columns, order)}</span>
                 </div>
+                <button type="button" id="copyReadingBtn" class="btn btn-secondary">Copy to Solution</button>
+            </div>
+        `;
+    }
 
-                <!-- Attribution -->
-                <div class="cipher-attribution">
-                    <p style="font-size: var(--font-size-sm); color: var(--color-text-secondary);">
-                        Quote by <strong>${this.currentQuote.author}</strong>
-                    </p>
+    // Editable Polybius square; each cell shares its coordinate pair with the solution boxes
+    renderCheckerboardGrid() {
+        const { rowKeyword, columnKeyword } = this.currentCipher;
+        // Cryptanalysis keeps the keywords secret, so headers are shown in alphabetical order
+        const sortHeaders = this.cipherType === 'checkerboardcrib';
+        const rowHeaders = sortHeaders ? [...rowKeyword].sort() : [...rowKeyword];
+        const columnHeaders = sortHeaders ? [...columnKeyword].sort() : [...columnKeyword];
+
+        const headerRow = `<tr><th></th>${columnHeaders.map(header => `<th>${header}</th>`).join('')}</tr>`;
+        const rows = rowHeaders.map((rowHeader, row) => {
+            const cells = columnHeaders.map((columnHeader, col) => {
+                const pair = rowHeader + columnHeader;
+                const value = this.userSolution.get(pair) || '';
+                return `
+                    <td>
+                        <input 
+                            type="text" 
+                            class="grid-box" 
+                            maxlength="1" 
+                            placeholder="_"
+                            value="${value}"
+                            data-cipher-letter="${pair}"
+                            data-row="${row}"
+                            data-col="${col}"
+                        >
+                    </td>
+                `;
+            }).join('');
+            return `<tr><th>${rowHeader}</th>${cells}</tr>`;
+        }).join('');
+
+        return `
+            <div class="checkerboard-grid-section">
+                <label style="display: block; margin: var(--space-4) 0 var(--space-2); font-size: var(--font-size-sm); color: var(--color-text-secondary);">Polybius Square:</label>
+                <table class="checkerboard-grid">
+                    ${headerRow}
+                    ${rows}
+                </table>
+            </div>
+        `;
+    }
+
+    renderDigitTable() {
+        const inputs = [...Array(10).keys()].map(digit => {
+            const value = this.userSolution.get(`digit_${digit}`) || '';
+            return `
+                <td>
+                    <input 
+                        type="text" 
+                        class="replacement-box digit-box" 
+                        maxlength="1" 
+                        placeholder="_"
+                        value="${value}"
+                        data-digit="${digit}"
+                    >
+                </td>
+            `;
+        }).join('');
+
+        return `
+            <div class="replacement-table-section">
+                <label style="display: block; margin: var(--space-4) 0 var(--space-2); font-size: var(--font-size-sm); color: var(--color-text-secondary);">Digit Table:</label>
+                <div class="replacement-table-scroll">
+                    <table class="replacement-table">
+                        <tr><th>Digit</th>${[...Array(10).keys()].map(digit => `<td>${digit}</td>`).join('')}</tr>
+                        <tr><th>Letter</th>${inputs}</tr>
+                    </table>
                 </div>
             </div>
         `;
+    }
 
-        this.attachInputListeners();
-        this.setupEventListeners();
+    getColumnarColumnCount() {
+        if (this.cipherType === 'columnar') return this.currentCipher.numColumns;
+        const saved = Number(this.columnarLayout.count);
+        const options = this.getColumnCountOptions();
+        return options.includes(saved) ? saved : options[0];
     }
 
-    renderCipherDisplay() {
-        if (this.cipherType === 'baconian') {
-            return this.renderBaconianCipherDisplay();
-        } else if (this.cipherType === 'patristocrat') {
-            return this.renderPatristocratCipherDisplay();
-        } else {
-            return this.renderAristocratCipherDisplay();
+    // Column counts that split the ciphertext into a complete rectangle
+    getColumnCountOptions() {
+        const length = this.currentCipher.ciphertext.length;
+        const options = [];
+        for (let count = 2; count <= 11; count++) {
+            if (length % count === 0) options.push(count);
+        }
+        return options;
+    }
+
+    getColumnarOrder(numColumns) {
+        const saved = this.columnarLayout.order || [];
+        return saved.length === numColumns ? saved : [...Array(numColumns).keys()];
+    }
+
+    splitIntoColumns(text, numColumns) {
+        const height = text.length / numColumns;
+        const columns = [];
+        for (let i = 0; i < numColumns; i++) {
+            columns.push(text.slice(i * height, (i + 1) * height));
+        }
+        return columns;
+    }
+
+    // Read the arranged columns row by row
+    readColumnarArrangement(columns, order) {
+        let text = '';
+        for (let row = 0; row < columns[0].length; row++) {
+            for (const column of order) {
+                text += columns[column][row];
+            }
         }
+        return text;
     }
 
     // Parse text into words (sequences of non-space characters)
@@ -604,7 +3705,7 @@ class CodebustersCipherGame {
             
             // Render each character in the word
             for (const char of word.text) {
-                if (/[A-Z]/.test(char)) {
+                if (this.isCipherLetter(char)) {
                     html += `<div class="cipher-block"><span class="cipher-letter">${char}</span></div>`;
                 } else {
                     html += `<div class="cipher-block"><span class="cipher-non-letter">${this.escapeHtml(char)}</span></div>`;
@@ -617,20 +3718,25 @@ class CodebustersCipherGame {
         return html;
     }
 
+    // Groups of letters that never break across lines; continuous text wraps at any letter
     renderPatristocratCipherDisplay() {
+        const renderChar = char => this.isCipherLetter(char)
+            ? `<div class="cipher-block"><span class="cipher-letter">${char}</span></div>`
+            : `<div class="cipher-block"><span class="cipher-non-letter">${this.escapeHtml(char)}</span></div>`;
+
+        return this.renderPatristocratGroups(renderChar);
+    }
+
+    // Lay out the ciphertext one group at a time; ciphers saved before grouping have no groupSize
+    renderPatristocratGroups(renderChar) {
         const text = this.currentCipher.ciphertext;
-        
-        let html = '';
-        // Patristocrat: continuous text, just render all characters in order
-        for (const char of text) {
-            if (/[A-Z]/.test(char)) {
-                html += `<div class="cipher-block"><span class="cipher-letter">${char}</span></div>`;
-            } else {
-                html += `<div class="cipher-block"><span class="cipher-non-letter">${this.escapeHtml(char)}</span></div>`;
-            }
+        if (!this.currentCipher.groupSize) {
+            return [...text].map(renderChar).join('');
         }
-        
-        return html;
+
+        return text.split(' ').map(group =>
+            `<div class="word-group">${[...group].map(renderChar).join('')}</div>`
+        ).join('');
     }
 
     renderBaconianCipherDisplay() {
@@ -674,6 +3780,24 @@ class CodebustersCipherGame {
     renderSolutionBoxes() {
         if (this.cipherType === 'baconian') {
             return this.renderBaconianSolutionBoxes();
+        } else if (this.cipherType === 'fractionatedmorse') {
+            // Group in fives so the boxes don't give away the word breaks hidden in the Morse
+            return this.renderPlaintextSolutionBoxes(5);
+        } else if (this.cipherType === 'porta' || this.cipherType === 'portacrib') {
+            return this.renderPlaintextSolutionBoxes(5);
+        } else if (this.isColumnarCipher()) {
+            return this.renderPlaintextSolutionBoxes(5);
+        } else if (this.isNihilistCipher()) {
+            return this.renderNihilistSolutionBoxes();
+        } else if (this.isCheckerboardCipher()) {
+            return this.renderCheckerboardSolutionBoxes();
+        } else if (this.cipherType === 'cryptarithm') {
+            return this.renderCryptarithmSolutionBoxes();
+        } else if (this.isHillCipher()) {
+            if (this.currentCipher.problem === 'matrix') {
+                return this.renderMatrixInputGrid();
+            }
+            return this.renderPlaintextSolutionBoxes(this.currentCipher.size);
         } else if (this.cipherType === 'patristocrat') {
             return this.renderPatristocratSolutionBoxes();
         } else {
@@ -681,6 +3805,272 @@ class CodebustersCipherGame {
         }
     }
 
+    // Letters-only ciphertext split into fixed-size blocks (Porta and similar)
+    renderBlockCipherDisplay(groupSize, text = this.currentCipher.ciphertext) {
+        const groups = text.match(new RegExp(`.{1,${groupSize}}`, 'g')) || [];
+
+        let html = '';
+        for (const group of groups) {
+            html += `<div class="word-group">`;
+            for (const char of group) {
+                html += `<div class="cipher-block"><span class="cipher-letter">${char}</span></div>`;
+            }
+            html += `</div>`;
+        }
+
+        return html;
+    }
+
+    // Number groups laid out word by word; each number is one plaintext letter
+    renderNihilistCipherDisplay() {
+        const words = this.parseIntoWords(this.currentCipher.plaintext);
+        const numbers = this.currentCipher.numbers;
+
+        let html = '';
+        let index = 0;
+        for (const word of words) {
+            html += `<div class="word-group">`;
+            for (let i = 0; i < word.text.length; i++) {
+                html += `<div class="cipher-block"><span class="cipher-letter cipher-number">${numbers[index]}</span></div>`;
+                index++;
+            }
+            html += `</div>`;
+        }
+
+        return html;
+    }
+
+    // Long-arithmetic layout: terms right-aligned with the operator beside the second term
+    renderCryptarithmDisplay() {
+        const { words, operation } = this.currentCipher;
+        const width = Math.max(...words.map(word => word.length));
+        const renderRow = (word, operator = '') => {
+            let html = `<div class="cryptarithm-row"><div class="cipher-block"><span class="cipher-non-letter">${operator}</span></div>`;
+            for (let i = 0; i < width - word.length; i++) {
+                html += `<div class="cipher-block"></div>`;
+            }
+            for (const char of word) {
+                html += `<div class="cipher-block"><span class="cipher-letter">${char}</span></div>`;
+            }
+            return html + `</div>`;
+        };
+
+        return `
+            <div class="cryptarithm">
+                ${renderRow(words[0])}
+                ${renderRow(words[1], CRYPTARITHM_OPERATORS[operation])}
+                <div class="cryptarithm-rule"></div>
+                ${renderRow(words[2])}
+            </div>
+        `;
+    }
+
+    renderCheckerboardCipherDisplay() {
+        const words = this.parseIntoWords(this.currentCipher.plaintext);
+        const mapping = this.currentCipher.mapping;
+
+        let html = '';
+        for (const word of words) {
+            html += `<div class="word-group">`;
+            for (const char of word.text) {
+                if (mapping[char]) {
+                    html += `<div class="cipher-block"><span class="cipher-letter cipher-pair">${mapping[char]}</span></div>`;
+                } else {
+                    html += `<div class="cipher-block"><span class="cipher-non-letter">${this.escapeHtml(char)}</span></div>`;
+                }
+            }
+            html += `</div>`;
+        }
+
+        return html;
+    }
+
+    renderFractionatedMorseCipherDisplay() {
+        let html = '';
+        // Each ciphertext letter carries the triplet the solver has assigned to it so far
+        for (const char of this.currentCipher.ciphertext) {
+            html += `
+                <div class="cipher-block morse-block">
+                    <span class="cipher-letter">${char}</span>
+                    <span class="morse-triplet" data-cipher-letter="${char}">${this.formatMorse(this.getUserTriplet(char))}</span>
+                </div>
+            `;
+        }
+
+        return html;
+    }
+
+    renderMorseReplacementTable() {
+        const inputs = MORSE_TRIPLETS.map(triplet => {
+            const value = this.userSolution.get(`morse_${triplet}`) || '';
+            return `
+                <td>
+                    <input 
+                        type="text" 
+                        class="replacement-box" 
+                        maxlength="1" 
+                        placeholder="_"
+                        value="${value}"
+                        data-triplet="${triplet}"
+                    >
+                </td>
+            `;
+        }).join('');
+
+        const symbolRows = [0, 1, 2].map(position =>
+            `<tr><th></th>${MORSE_TRIPLETS.map(triplet => `<td>${this.formatMorse(triplet[position])}</td>`).join('')}</tr>`
+        ).join('');
+
+        return `
+            <div class="replacement-table-section">
+                <label style="display: block; margin: var(--space-4) 0 var(--space-2); font-size: var(--font-size-sm); color: var(--color-text-secondary);">Replacement Table:</label>
+                <div class="replacement-table-scroll">
+                    <table class="replacement-table">
+                        <tr><th>Replacement</th>${inputs}</tr>
+                        ${symbolRows}
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+
+    // Letter counts with a replacement row laid out like the official answer sheet; the
+    // replacement boxes share userSolution keys with the letter boxes, so both stay in sync
+    renderFrequencyTable() {
+        const frequencies = this.getLetterFrequencies();
+        const letters = Object.keys(frequencies);
+
+        const inputs = letters.map(letter => {
+            const value = this.userSolution.get(letter) || '';
+            return `
+                <td>
+                    <input 
+                        type="text" 
+                        class="replacement-box" 
+                        maxlength="1" 
+                        placeholder="_"
+                        value="${value}"
+                        data-cipher-letter="${letter}"
+                    >
+                </td>
+            `;
+        }).join('');
+
+        return `
+            <div class="replacement-table-section">
+                <label style="display: block; margin: var(--space-4) 0 var(--space-2); font-size: var(--font-size-sm); color: var(--color-text-secondary);">Frequency Table:</label>
+                <div class="replacement-table-scroll">
+                    <table class="replacement-table frequency-table">
+                        <tr><th></th>${letters.map(letter => `<td>${letter}</td>`).join('')}</tr>
+                        <tr><th>Frequency</th>${letters.map(letter => `<td>${frequencies[letter] || ''}</td>`).join('')}</tr>
+                        <tr><th>Replacement</th>${inputs}</tr>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+
+    renderAnalysisSidebar() {
+        if (!this.showAnalysis || !this.usesAnalysis() || this.testSession) return '';
+        return `<aside class="analysis-sidebar">${this.renderAnalysisContent()}</aside>`;
+    }
+
+    renderAnalysisContent() {
+        const analysis = this.analyzeCiphertext();
+        const entered = letters => [...letters].map(letter => analysis.known.get(letter) || '·').join('');
+        const renderGrams = (grams, common) => `
+            ${grams.length === 0 ? '<p class="analysis-note">No repeats.</p>' : `
+            <div class="analysis-grams">
+                ${grams.map(([gram, count]) => `<span class="analysis-gram" title="Entered so far: ${entered(gram)}">${gram} <small>×${count}</small></span>`).join('')}
+            </div>`}
+            <p class="analysis-note">Common in English: ${common.slice(0, 8).join(' ')}</p>
+        `;
+
+        // Words with the fewest dictionary matches say the most, so they come first
+        const patternWords = analysis.patternWords
+            .filter(word => word.matches.length > 0)
+            .sort((a, b) => a.matches.length - b.matches.length || b.cipher.length - a.cipher.length)
+            .concat(analysis.patternWords.filter(word => word.matches.length === 0))
+            .slice(0, 10)
+            .map(({ cipher, matches }) => `
+                <li>
+                    <span class="analysis-cipher">${cipher}</span>
+                    <span class="analysis-pattern">${this.getWordPattern(cipher)}</span>
+                    <span class="analysis-matches">${matches.length === 0
+                        ? 'no dictionary match'
+                        : matches.slice(0, 6).join(', ') + (matches.length > 6 ? ` +${matches.length - 6} more` : '')}</span>
+                </li>
+            `).join('');
+
+        const singles = analysis.singles.map(([letter, count]) => {
+            const options = ['A', 'I'].filter(plain =>
+                plain !== letter && (!analysis.known.has(letter) || analysis.known.get(letter) === plain));
+            return `<li><span class="analysis-cipher">${letter}</span> stands alone ${count}× &rarr; ${options.join(' or ') || 'not A or I?'}</li>`;
+        }).join('');
+
+        const candidate = [...analysis.candidate]
+            .sort((a, b) => a[0].localeCompare(b[0]))
+            .map(([cipher, { plain, source }]) =>
+                `<span class="analysis-candidate-item ${source}" title="${source === 'entered' ? 'Your entry' : `From ${source}`}">${cipher}<strong>${plain}</strong></span>`
+            ).join('');
+
+        return `
+            <h3>Analysis</h3>
+            ${this.cipherType === 'aristocrat' ? `
+            <section class="analysis-section">
+                <h4>Pattern Words</h4>
+                ${patternWords ? `<ul class="analysis-list">${patternWords}</ul>` : '<p class="analysis-note">No words to match.</p>'}
+            </section>
+            <section class="analysis-section">
+                <h4>Single-Letter Words</h4>
+                ${singles ? `<ul class="analysis-list">${singles}</ul>` : '<p class="analysis-note">None in this cipher.</p>'}
+            </section>` : `
+            <p class="analysis-note">Word breaks are hidden in a Patristocrat, so start from repeated trigraphs like THE and ING and from the frequency count.</p>`}
+            <section class="analysis-section">
+                <h4>Digraphs</h4>
+                ${renderGrams(analysis.digraphs, COMMON_DIGRAPHS)}
+            </section>
+            <section class="analysis-section">
+                <h4>Trigraphs</h4>
+                ${renderGrams(analysis.trigraphs, COMMON_TRIGRAPHS)}
+            </section>
+            <section class="analysis-section">
+                <h4>Candidate Key</h4>
+                <div class="analysis-candidate">${candidate}</div>
+                <p class="analysis-note">Bold guesses come from pattern words, faded ones only from letter frequency.</p>
+            </section>
+        `;
+    }
+
+    // Rework the sidebar once entries stop changing, since matches depend on the letters entered
+    refreshAnalysis() {
+        clearTimeout(this.analysisRefreshTimeout);
+        if (!this.container.querySelector('.analysis-sidebar')) return;
+
+        this.analysisRefreshTimeout = setTimeout(() => {
+            const sidebar = this.container.querySelector('.analysis-sidebar');
+            if (sidebar) {
+                sidebar.innerHTML = this.renderAnalysisContent();
+            }
+        }, ANALYSIS_REFRESH_DELAY);
+    }
+
+    // Ciphertext letter the solver has entered for a triplet, looked up the other way round
+    getUserTriplet(cipherLetter) {
+        return MORSE_TRIPLETS.find(triplet => this.userSolution.get(`morse_${triplet}`) === cipherLetter) || '';
+    }
+
+    formatMorse(morse) {
+        return morse.replace(/\./g, '•').replace(/-/g, '–').replace(/x/g, '×');
+    }
+
+    updateMorseTriplets() {
+        const triplets = this.container.querySelectorAll('.morse-triplet');
+        triplets.forEach(el => {
+            el.textContent = this.formatMorse(this.getUserTriplet(el.dataset.cipherLetter));
+        });
+    }
+
     renderAristocratSolutionBoxes() {
         const text = this.currentCipher.ciphertext;
         const words = this.parseIntoWords(text);
@@ -691,7 +4081,7 @@ class CodebustersCipherGame {
             
             // Render each character in the word
             for (const char of word.text) {
-                if (/[A-Z]/.test(char)) {
+                if (this.isCipherLetter(char)) {
                     const value = this.userSolution.get(char) || '';
                     html += `
                         <div class="letter-box-wrapper" data-cipher-letter="${char}">
@@ -722,15 +4112,12 @@ class CodebustersCipherGame {
         return html;
     }
 
+    // Boxes follow the same groups as the ciphertext so each one sits under its letter
     renderPatristocratSolutionBoxes() {
-        const text = this.currentCipher.ciphertext;
-        
-        let html = '';
-        // Patristocrat: continuous text, just render all characters in order
-        for (const char of text) {
-            if (/[A-Z]/.test(char)) {
+        return this.renderPatristocratGroups(char => {
+            if (this.isCipherLetter(char)) {
                 const value = this.userSolution.get(char) || '';
-                html += `
+                return `
                     <div class="letter-box-wrapper" data-cipher-letter="${char}">
                         <div class="letter-label">${char}</div>
                         <input 
@@ -743,19 +4130,176 @@ class CodebustersCipherGame {
                         >
                     </div>
                 `;
-            } else {
+            }
+            return `
+                <div class="letter-box-wrapper">
+                    <div class="letter-label"></div>
+                    <div class="solution-non-letter">${this.escapeHtml(char)}</div>
+                </div>
+            `;
+        });
+    }
+
+    // One box per plaintext letter, keyed by position. Grouped by words (keeping punctuation),
+    // or into fixed-size blocks of letters when groupSize is given.
+    renderPlaintextSolutionBoxes(groupSize = null) {
+        const plaintext = this.getAnswerText();
+        const groups = groupSize
+            ? (plaintext.replace(/[^A-Z]/g, '').match(new RegExp(`.{1,${groupSize}}`, 'g')) || [])
+            : this.parseIntoWords(plaintext).map(word => word.text);
+
+        let html = '';
+        let boxIndex = 0;
+        for (const group of groups) {
+            html += `<div class="word-group">`;
+
+            for (const char of group) {
+                if (/[A-Z]/.test(char)) {
+                    const value = this.userSolution.get(`plain_${boxIndex}`) || '';
+                    html += `
+                        <div class="letter-box-wrapper">
+                            <input 
+                                type="text" 
+                                class="letter-box" 
+                                maxlength="1" 
+                                placeholder="_"
+                                value="${value}"
+                                data-plain-index="${boxIndex}"
+                            >
+                        </div>
+                    `;
+                    boxIndex++;
+                } else {
+                    html += `
+                        <div class="letter-box-wrapper">
+                            <div class="solution-non-letter">${this.escapeHtml(char)}</div>
+                        </div>
+                    `;
+                }
+            }
+
+            html += `</div>`;
+        }
+
+        return html;
+    }
+
+    // The answer phrase given as digits, one labelled box per letter
+    renderCryptarithmSolutionBoxes() {
+        let html = `<div class="word-group">`;
+        this.currentCipher.phraseDigits.forEach((digit, boxIndex) => {
+            const value = this.userSolution.get(`plain_${boxIndex}`) || '';
+            html += `
+                <div class="letter-box-wrapper">
+                    <div class="letter-label">${digit}</div>
+                    <input 
+                        type="text" 
+                        class="letter-box" 
+                        maxlength="1" 
+                        placeholder="_"
+                        value="${value}"
+                        data-plain-index="${boxIndex}"
+                    >
+                </div>
+            `;
+        });
+        return html + `</div>`;
+    }
+
+    // Aristocrat boxes with the coordinate pair standing in for the cipher letter
+    renderCheckerboardSolutionBoxes() {
+        const words = this.parseIntoWords(this.currentCipher.plaintext);
+        const mapping = this.currentCipher.mapping;
+
+        let html = '';
+        for (const word of words) {
+            html += `<div class="word-group">`;
+
+            for (const char of word.text) {
+                const pair = mapping[char];
+                if (pair) {
+                    const value = this.userSolution.get(pair) || '';
+                    html += `
+                        <div class="letter-box-wrapper" data-cipher-letter="${pair}">
+                            <div class="letter-label">${pair}</div>
+                            <input 
+                                type="text" 
+                                class="letter-box" 
+                                maxlength="1" 
+                                placeholder="_"
+                                value="${value}"
+                                data-cipher-letter="${pair}"
+                            >
+                        </div>
+                    `;
+                } else {
+                    html += `
+                        <div class="letter-box-wrapper">
+                            <div class="letter-label"></div>
+                            <div class="solution-non-letter">${this.escapeHtml(char)}</div>
+                        </div>
+                    `;
+                }
+            }
+
+            html += `</div>`;
+        }
+
+        return html;
+    }
+
+    // Aristocrat-style labelled boxes, but keyed by position since equal numbers needn't be equal letters
+    renderNihilistSolutionBoxes() {
+        const words = this.parseIntoWords(this.currentCipher.plaintext);
+        const numbers = this.currentCipher.numbers;
+
+        let html = '';
+        let boxIndex = 0;
+        for (const word of words) {
+            html += `<div class="word-group">`;
+
+            for (let i = 0; i < word.text.length; i++) {
+                const value = this.userSolution.get(`plain_${boxIndex}`) || '';
                 html += `
                     <div class="letter-box-wrapper">
-                        <div class="letter-label"></div>
-                        <div class="solution-non-letter">${this.escapeHtml(char)}</div>
+                        <div class="letter-label">${numbers[boxIndex]}</div>
+                        <input 
+                            type="text" 
+                            class="letter-box" 
+                            maxlength="1" 
+                            placeholder="_"
+                            value="${value}"
+                            data-plain-index="${boxIndex}"
+                        >
                     </div>
                 `;
+                boxIndex++;
             }
+
+            html += `</div>`;
         }
-        
+
         return html;
     }
 
+    // Extra answers some ciphers ask for alongside the plaintext (e.g. the key length and keyword)
+    renderKeyAnswerFields() {
+        const answers = this.currentCipher.keyAnswers || [];
+        if (answers.length === 0) return '';
+
+        const fields = answers.map(answer => {
+            const value = this.userSolution.get(`answer_${answer.id}`) || '';
+            return `
+                <label class="key-answer-field">
+                    <span>${answer.label}:</span>
+                    <input type="text" class="key-answer" data-answer-id="${answer.id}" value="${this.escapeHtml(value)}" autocomplete="off" spellcheck="false">
+                </label>
+            `;
+        }).join('');
+
+        return `<div class="key-answers">${fields}</div>`;
+    }
+
     renderBaconianSolutionBoxes() {
         const ciphertext = this.currentCipher.ciphertext;
         let html = '';
@@ -851,11 +4395,37 @@ class CodebustersCipherGame {
     }
 
     attachInputListeners() {
-        if (this.cipherType === 'baconian') {
-            this.attachBaconianInputListeners();
+        if (this.usesPlaintextBoxes()) {
+            this.attachPlaintextInputListeners();
         } else {
             this.attachSubstitutionInputListeners();
         }
+
+        if (this.cipherType === 'fractionatedmorse') {
+            this.attachMorseTableListeners();
+        }
+
+        if (this.isHillCipher()) {
+            this.attachMatrixInputListeners();
+        }
+
+        if (this.isColumnarCipher()) {
+            this.attachColumnarListeners();
+        }
+
+        if (this.isCheckerboardCipher()) {
+            this.attachCheckerboardGridListeners();
+        }
+
+        if (this.cipherType === 'cryptarithm') {
+            this.attachDigitTableListeners();
+        }
+
+        if (this.usesFrequencyTable()) {
+            this.attachFrequencyTableListeners();
+        }
+
+        this.attachKeyAnswerListeners();
     }
 
     attachSubstitutionInputListeners() {
@@ -863,10 +4433,15 @@ class CodebustersCipherGame {
 
         boxes.forEach(box => {
             box.addEventListener('keydown', (e) => {
-                const letter = e.key.toUpperCase();
+                let letter = this.cipherType === 'xenocrypt'
+                    ? this.foldSpanishAccents(e.key)
+                    : e.key.toUpperCase();
+                if (letter === 'J' && this.mergesIJ()) {
+                    letter = 'I';
+                }
                 
-                // Only accept A-Z letters
-                if (/^[A-Z]$/.test(letter)) {
+                // Only accept letters of the cipher's alphabet (A-Z, plus Ñ for Xenocrypt)
+                if (e.key.length === 1 && this.isCipherLetter(letter)) {
                     e.preventDefault();
                     
                     this.validationState = null;
@@ -921,12 +4496,21 @@ class CodebustersCipherGame {
         });
     }
 
-    attachBaconianInputListeners() {
+    // userSolution key for a plaintext-indexed box; Baconian boxes keep their own prefix
+    getSolutionKey(box) {
+        if (box.dataset.baconianIndex !== undefined) return `baconian_${box.dataset.baconianIndex}`;
+        return `plain_${box.dataset.plainIndex}`;
+    }
+
+    attachPlaintextInputListeners() {
         const boxes = this.container.querySelectorAll('.letter-box');
 
         boxes.forEach(box => {
             box.addEventListener('keydown', (e) => {
-                const letter = e.key.toUpperCase();
+                let letter = e.key.toUpperCase();
+                if (letter === 'J' && this.mergesIJ()) {
+                    letter = 'I';
+                }
                 
                 // Only accept A-Z letters
                 if (/^[A-Z]$/.test(letter)) {
@@ -941,11 +4525,9 @@ class CodebustersCipherGame {
                         b.classList.remove('correct', 'incorrect');
                     });
 
-                    const baconianIndex = e.target.dataset.baconianIndex;
-                    
                     // Set the value to the pressed letter
                     e.target.value = letter;
-                    this.userSolution.set(`baconian_${baconianIndex}`, letter);
+                    this.userSolution.set(this.getSolutionKey(e.target), letter);
 
                     if (this.autoHighlightEnabled) {
                         this.validateAnswers();
@@ -960,8 +4542,7 @@ class CodebustersCipherGame {
                 } else if (e.key === 'Backspace' || e.key === 'Delete') {
                     e.preventDefault();
                     e.target.value = '';
-                    const baconianIndex = e.target.dataset.baconianIndex;
-                    this.userSolution.delete(`baconian_${baconianIndex}`);
+                    this.userSolution.delete(this.getSolutionKey(e.target));
                     
                     if (this.autoHighlightEnabled) {
                         this.validateAnswers();
@@ -977,8 +4558,399 @@ class CodebustersCipherGame {
         });
     }
 
-    moveToNextUnfilledBox(currentBox) {
-        const allBoxes = Array.from(this.container.querySelectorAll('.letter-box'));
+    attachMorseTableListeners() {
+        const boxes = this.container.querySelectorAll('.replacement-box');
+
+        boxes.forEach(box => {
+            box.addEventListener('keydown', (e) => {
+                const letter = e.key.toUpperCase();
+
+                if (/^[A-Z]$/.test(letter)) {
+                    e.preventDefault();
+
+                    // A ciphertext letter stands for exactly one triplet, so clear it from any other column
+                    boxes.forEach(other => {
+                        if (other !== e.target && other.value === letter) {
+                            other.value = '';
+                            other.classList.remove('correct', 'incorrect');
+                            this.userSolution.delete(`morse_${other.dataset.triplet}`);
+                        }
+                    });
+
+                    e.target.value = letter;
+                    e.target.classList.remove('correct', 'incorrect');
+                    this.userSolution.set(`morse_${e.target.dataset.triplet}`, letter);
+                    this.updateMorseTriplets();
+
+                    if (this.autoHighlightEnabled) {
+                        this.validateAnswers();
+                    }
+
+                    this.moveToNextUnfilledBox(e.target, '.replacement-box');
+                } else if (e.key === 'Backspace' || e.key === 'Delete') {
+                    e.preventDefault();
+                    e.target.value = '';
+                    e.target.classList.remove('correct', 'incorrect');
+                    this.userSolution.delete(`morse_${e.target.dataset.triplet}`);
+                    this.updateMorseTriplets();
+                } else if (e.key === 'ArrowRight') {
+                    e.preventDefault();
+                    this.moveToNextUnfilledBox(e.target, '.replacement-box');
+                } else if (e.key === 'ArrowLeft') {
+                    e.preventDefault();
+                    this.moveToPreviousUnfilledBox(e.target, '.replacement-box');
+                }
+            });
+        });
+    }
+
+    attachMatrixInputListeners() {
+        const boxes = this.container.querySelectorAll('.matrix-box');
+
+        boxes.forEach(box => {
+            box.addEventListener('input', (e) => {
+                // Entries are 0-25, so keep at most two digits
+                const value = e.target.value.replace(/\D/g, '').slice(0, 2);
+                const key = `matrix_${e.target.dataset.row}_${e.target.dataset.col}`;
+                e.target.value = value;
+                e.target.classList.remove('correct', 'incorrect');
+
+                if (value === '') {
+                    this.userSolution.delete(key);
+                } else {
+                    this.userSolution.set(key, value);
+                }
+
+                if (this.autoHighlightEnabled) {
+                    this.validateAnswers();
+                }
+
+                // A second digit, or a first digit that can't start 10-25, completes the entry
+                if (value.length === 2 || Number(value) > 2) {
+                    this.completeMatrixEntry(e.target);
+                }
+            });
+
+            box.addEventListener('keydown', (e) => {
+                const row = Number(e.target.dataset.row);
+                const col = Number(e.target.dataset.col);
+
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.completeMatrixEntry(e.target);
+                } else if (e.key === 'ArrowRight') {
+                    e.preventDefault();
+                    this.moveToNextUnfilledBox(e.target, '.matrix-box');
+                } else if (e.key === 'ArrowLeft') {
+                    e.preventDefault();
+                    this.moveToPreviousUnfilledBox(e.target, '.matrix-box');
+                } else if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+                    e.preventDefault();
+                    const targetRow = row + (e.key === 'ArrowUp' ? -1 : 1);
+                    const target = this.container.querySelector(`.matrix-box[data-row="${targetRow}"][data-col="${col}"]`);
+                    if (target) {
+                        target.focus();
+                        target.select();
+                    }
+                }
+            });
+        });
+    }
+
+    // The digit table is always checked live, independent of Auto Check
+    attachDigitTableListeners() {
+        const boxes = this.container.querySelectorAll('.digit-box');
+
+        boxes.forEach(box => {
+            box.addEventListener('keydown', (e) => {
+                const letter = e.key.toUpperCase();
+
+                if (/^[A-Z]$/.test(letter)) {
+                    e.preventDefault();
+
+                    // Each letter stands for one digit, so clear it from any other column
+                    boxes.forEach(other => {
+                        if (other !== e.target && other.value === letter) {
+                            other.value = '';
+                            this.userSolution.delete(`digit_${other.dataset.digit}`);
+                        }
+                    });
+
+                    e.target.value = letter;
+                    this.userSolution.set(`digit_${e.target.dataset.digit}`, letter);
+                    this.validateDigitTable();
+                    this.moveToNextUnfilledBox(e.target, '.digit-box');
+                } else if (e.key === 'Backspace' || e.key === 'Delete') {
+                    e.preventDefault();
+                    e.target.value = '';
+                    this.userSolution.delete(`digit_${e.target.dataset.digit}`);
+                    this.validateDigitTable();
+                } else if (e.key === 'ArrowRight') {
+                    e.preventDefault();
+                    this.moveToNextUnfilledBox(e.target, '.digit-box');
+                } else if (e.key === 'ArrowLeft') {
+                    e.preventDefault();
+                    this.moveToPreviousUnfilledBox(e.target, '.digit-box');
+                }
+            });
+        });
+    }
+
+    attachCheckerboardGridListeners() {
+        const boxes = this.container.querySelectorAll('.grid-box');
+
+        boxes.forEach(box => {
+            box.addEventListener('keydown', (e) => {
+                let letter = e.key.toUpperCase();
+                if (letter === 'J') {
+                    letter = 'I';
+                }
+
+                if (/^[A-Z]$/.test(letter)) {
+                    e.preventDefault();
+
+                    this.validationState = null;
+                    this.container.querySelector('#feedback').style.display = 'none';
+                    this.container.querySelectorAll('.letter-box, .grid-box').forEach(b => {
+                        b.classList.remove('correct', 'incorrect');
+                    });
+
+                    // Writing in the grid fills every solution box with the same coordinate pair
+                    const pair = e.target.dataset.cipherLetter;
+                    this.userSolution.set(pair, letter);
+                    this.fillSameCipherLetters(pair, letter);
+
+                    if (this.autoHighlightEnabled) {
+                        this.validateAnswers();
+                    }
+
+                    if (this.areAllBoxesFilled()) {
+                        setTimeout(() => this.checkSolution(), 100);
+                    }
+
+                    this.moveToNextUnfilledBox(e.target, '.grid-box');
+                } else if (e.key === 'Backspace' || e.key === 'Delete') {
+                    e.preventDefault();
+                    const pair = e.target.dataset.cipherLetter;
+                    this.userSolution.delete(pair);
+                    this.fillSameCipherLetters(pair, '');
+                    e.target.classList.remove('correct', 'incorrect');
+
+                    if (this.autoHighlightEnabled) {
+                        this.validateAnswers();
+                    }
+                } else if (e.key === 'ArrowRight') {
+                    e.preventDefault();
+                    this.moveToNextUnfilledBox(e.target, '.grid-box');
+                } else if (e.key === 'ArrowLeft') {
+                    e.preventDefault();
+                    this.moveToPreviousUnfilledBox(e.target, '.grid-box');
+                } else if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+                    e.preventDefault();
+                    const row = Number(e.target.dataset.row) + (e.key === 'ArrowUp' ? -1 : 1);
+                    const target = this.container.querySelector(`.grid-box[data-row="${row}"][data-col="${e.target.dataset.col}"]`);
+                    if (target) {
+                        target.focus();
+                        target.select();
+                    }
+                }
+            });
+
+            box.addEventListener('click', (e) => {
+                this.highlightSameCipherLetters(e.target.dataset.cipherLetter);
+            });
+        });
+    }
+
+    attachFrequencyTableListeners() {
+        const boxes = this.container.querySelectorAll('.frequency-table .replacement-box');
+
+        boxes.forEach(box => {
+            box.addEventListener('keydown', (e) => {
+                const letter = this.cipherType === 'xenocrypt'
+                    ? this.foldSpanishAccents(e.key)
+                    : e.key.toUpperCase();
+
+                if (e.key.length === 1 && this.isCipherLetter(letter)) {
+                    e.preventDefault();
+
+                    this.validationState = null;
+                    this.container.querySelector('#feedback').style.display = 'none';
+                    this.container.querySelectorAll('.letter-box').forEach(b => {
+                        b.classList.remove('correct', 'incorrect', 'selected');
+                    });
+
+                    // A replacement fills every solution box for that ciphertext letter
+                    const cipherLetter = e.target.dataset.cipherLetter;
+                    this.userSolution.set(cipherLetter, letter);
+                    this.fillSameCipherLetters(cipherLetter, letter);
+
+                    if (this.autoHighlightEnabled) {
+                        this.validateAnswers();
+                    }
+
+                    if (this.areAllBoxesFilled()) {
+                        setTimeout(() => this.checkSolution(), 100);
+                    }
+
+                    this.moveToNextUnfilledBox(e.target, '.frequency-table .replacement-box');
+                } else if (e.key === 'Backspace' || e.key === 'Delete') {
+                    e.preventDefault();
+                    const cipherLetter = e.target.dataset.cipherLetter;
+                    this.userSolution.delete(cipherLetter);
+                    this.fillSameCipherLetters(cipherLetter, '');
+
+                    if (this.autoHighlightEnabled) {
+                        this.validateAnswers();
+                    }
+                } else if (e.key === 'ArrowRight') {
+                    e.preventDefault();
+                    this.moveToNextUnfilledBox(e.target, '.frequency-table .replacement-box');
+                } else if (e.key === 'ArrowLeft') {
+                    e.preventDefault();
+                    this.moveToPreviousUnfilledBox(e.target, '.frequency-table .replacement-box');
+                }
+            });
+
+            box.addEventListener('click', (e) => {
+                this.highlightSameCipherLetters(e.target.dataset.cipherLetter);
+            });
+        });
+    }
+
+    attachKeyAnswerListeners() {
+        const fields = this.container.querySelectorAll('.key-answer');
+
+        fields.forEach(field => {
+            field.addEventListener('input', (e) => {
+                const value = e.target.value.toUpperCase();
+                e.target.value = value;
+                e.target.classList.remove('correct', 'incorrect');
+
+                if (value.trim() === '') {
+                    this.userSolution.delete(`answer_${e.target.dataset.answerId}`);
+                } else {
+                    this.userSolution.set(`answer_${e.target.dataset.answerId}`, value);
+                }
+
+                if (this.autoHighlightEnabled) {
+                    this.validateAnswers();
+                }
+            });
+
+            field.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.checkSolution(true);
+                }
+            });
+        });
+    }
+
+    attachColumnarListeners() {
+        const strips = this.container.querySelectorAll('.column-strip');
+
+        strips.forEach(strip => {
+            strip.addEventListener('dragstart', (e) => {
+                e.dataTransfer.setData('text/plain', strip.dataset.position);
+                e.dataTransfer.effectAllowed = 'move';
+                strip.classList.add('dragging');
+            });
+
+            strip.addEventListener('dragend', () => strip.classList.remove('dragging'));
+
+            strip.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'move';
+            });
+
+            strip.addEventListener('drop', (e) => {
+                e.preventDefault();
+                const from = Number(e.dataTransfer.getData('text/plain'));
+                this.moveColumn(from, Number(strip.dataset.position));
+            });
+
+            strip.addEventListener('keydown', (e) => {
+                const position = Number(strip.dataset.position);
+                if (e.key === 'ArrowLeft' && position > 0) {
+                    e.preventDefault();
+                    this.moveColumn(position, position - 1);
+                } else if (e.key === 'ArrowRight' && position < strips.length - 1) {
+                    e.preventDefault();
+                    this.moveColumn(position, position + 1);
+                }
+            });
+        });
+
+        const countSelect = this.container.querySelector('#columnCountSelect');
+        countSelect?.addEventListener('change', (e) => {
+            Object.assign(this.columnarLayout, { count: Number(e.target.value), order: [] });
+            this.refreshColumnarWorkspace();
+        });
+
+        const copyBtn = this.container.querySelector('#copyReadingBtn');
+        copyBtn?.addEventListener('click', () => this.copyColumnarReading());
+    }
+
+    moveColumn(from, to) {
+        if (from === to || Number.isNaN(from)) return;
+
+        const order = this.getColumnarOrder(this.getColumnarColumnCount());
+        const [column] = order.splice(from, 1);
+        order.splice(to, 0, column);
+        this.columnarLayout.order = order;
+        this.refreshColumnarWorkspace(to);
+    }
+
+    refreshColumnarWorkspace(focusPosition = null) {
+        const workspace = this.container.querySelector('.columnar-workspace');
+        workspace.outerHTML = this.renderColumnarWorkspace();
+        this.attachColumnarListeners();
+        this.saveProgress();
+
+        if (focusPosition !== null) {
+            this.container.querySelector(`.column-strip[data-position="${focusPosition}"]`)?.focus();
+        }
+    }
+
+    // Fill the solution boxes from the current column arrangement
+    copyColumnarReading() {
+        const numColumns = this.getColumnarColumnCount();
+        const reading = this.readColumnarArrangement(
+            this.splitIntoColumns(this.currentCipher.ciphertext, numColumns),
+            this.getColumnarOrder(numColumns)
+        );
+
+        const boxes = this.container.querySelectorAll('.letter-box');
+        boxes.forEach((box, i) => {
+            box.value = reading[i] || '';
+            box.classList.remove('correct', 'incorrect');
+            if (box.value) {
+                this.userSolution.set(this.getSolutionKey(box), box.value);
+            } else {
+                this.userSolution.delete(this.getSolutionKey(box));
+            }
+        });
+
+        if (this.autoHighlightEnabled) {
+            this.validateAnswers();
+        }
+
+        if (this.areAllBoxesFilled()) {
+            setTimeout(() => this.checkSolution(), 100);
+        }
+    }
+
+    completeMatrixEntry(box) {
+        const boxes = Array.from(this.container.querySelectorAll('.matrix-box'));
+        if (this.currentCipher.problem === 'matrix' && boxes.every(b => b.value !== '')) {
+            setTimeout(() => this.checkSolution(), 100);
+        }
+        this.moveToNextUnfilledBox(box, '.matrix-box');
+    }
+
+    moveToNextUnfilledBox(currentBox, selector = '.letter-box') {
+        const allBoxes = Array.from(this.container.querySelectorAll(selector));
         const currentIndex = allBoxes.indexOf(currentBox);
         
         if (currentIndex === -1 || allBoxes.length === 0) return;
@@ -1004,8 +4976,8 @@ class CodebustersCipherGame {
         }
     }
 
-    moveToPreviousUnfilledBox(currentBox) {
-        const allBoxes = Array.from(this.container.querySelectorAll('.letter-box'));
+    moveToPreviousUnfilledBox(currentBox, selector = '.letter-box') {
+        const allBoxes = Array.from(this.container.querySelectorAll(selector));
         const currentIndex = allBoxes.indexOf(currentBox);
         
         if (currentIndex === -1 || allBoxes.length === 0) return;
@@ -1032,10 +5004,16 @@ class CodebustersCipherGame {
     }
 
     fillSameCipherLetters(cipherLetter, value) {
-        const boxes = this.container.querySelectorAll(`.letter-box[data-cipher-letter="${cipherLetter}"]`);
+        // The checkerboard grid and the frequency table's replacement row share keys with the
+        // solution boxes, so they stay in sync too
+        const boxes = this.container.querySelectorAll(
+            `.letter-box[data-cipher-letter="${cipherLetter}"], .grid-box[data-cipher-letter="${cipherLetter}"], ` +
+            `.replacement-box[data-cipher-letter="${cipherLetter}"]`
+        );
         boxes.forEach(box => {
             box.value = value;
         });
+        this.refreshAnalysis();
     }
 
     highlightSameCipherLetters(cipherLetter, clickedBox = null) {
@@ -1052,6 +5030,12 @@ class CodebustersCipherGame {
         });
     }
 
+    // Letters of the current cipher's alphabet; Xenocrypt adds Ñ
+    isCipherLetter(char) {
+        const alphabet = this.cipherType === 'xenocrypt' ? SPANISH_ALPHABET : ENGLISH_ALPHABET;
+        return char.length === 1 && alphabet.includes(char);
+    }
+
     areAllBoxesFilled() {
         const boxes = this.container.querySelectorAll('.letter-box');
         return Array.from(boxes).every(box => box.value.trim() !== '');
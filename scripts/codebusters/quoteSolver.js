@@ -0,0 +1,358 @@
+/* quoteSolver.js
+ * Dictionary-based solver for Codebusters substitution ciphers, used to check that each quote in
+ * codebustersQuotes.json has exactly one sensible reading as the cipher types it is tagged with.
+ * Usage: include before codebustersCipher.js so the quote editor can warn about a coach's quotes, or run
+ *   node scripts/codebusters/quoteSolver.js [path/to/codebustersQuotes.json]
+ * to list every ambiguous or unsolvable quote/cipher combination in the bank.
+ */
+
+const SOLVER_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+// Cipher types the solver understands; Xenocrypts would need a Spanish dictionary
+const SOLVER_TYPES = ['aristocrat', 'patristocrat'];
+// Patristocrats shorter than this give too little frequency data to attack without word breaks
+const PATRISTOCRAT_MIN_LETTERS = 40;
+// Search budget; a search that runs out reports 'unverified' rather than guessing
+const SOLVER_STEP_LIMIT = 200000;
+// Official scoring forgives this many wrong letters, so readings that close together are harmless
+const SOLVER_ERROR_ALLOWANCE = 2;
+// An alternative reading counts only if its word-model score is within this many nats of the
+// quote's own; a factor of about 20 less likely and a solver would settle on the real quote
+const SOLVER_PLAUSIBILITY_MARGIN = 3;
+// How much the word-pair counts weigh against single-word counts when scoring a reading
+const SOLVER_BIGRAM_WEIGHT = 0.4;
+
+/** Letter-repetition shape of a word: THAT and KEEK both become ABCA. */
+function letterPattern(word) {
+  const seen = new Map();
+  let pattern = '';
+  for (const letter of word) {
+    if (!seen.has(letter)) seen.set(letter, SOLVER_ALPHABET[seen.size]);
+    pattern += seen.get(letter);
+  }
+  return pattern;
+}
+
+/** Uppercase, letters-only words of a text, in order. */
+function textWords(text) {
+  return text.toUpperCase().split(/\s+/).map((word) => word.replace(/[^A-Z]/g, '')).filter(Boolean);
+}
+
+/** Words of a text split into sentences at . ! and ? */
+function sentenceWords(text) {
+  return text.split(/[.!?]+/).map(textWords).filter((words) => words.length > 0);
+}
+
+/** Group words by letter pattern for quick lookup. */
+function buildPatternIndex(words) {
+  const index = new Map();
+  for (const word of words) {
+    const pattern = letterPattern(word);
+    if (!index.has(pattern)) index.set(pattern, []);
+    index.get(pattern).push(word);
+  }
+  return index;
+}
+
+/** Word and word-pair counts from sample English text (the rest of the quote bank), used to rank
+ *  how plausible a reading is. Sentence starts count as the word '^' and ends as '$'.
+ */
+function buildWordModel(texts) {
+  const unigrams = new Map();
+  const bigrams = new Map();
+  let total = 0;
+  let sentences = 0;
+  for (const text of texts) {
+    for (const words of sentenceWords(text)) {
+      let previous = '^';
+      sentences++;
+      for (const word of words) {
+        unigrams.set(word, (unigrams.get(word) || 0) + 1);
+        bigrams.set(`${previous} ${word}`, (bigrams.get(`${previous} ${word}`) || 0) + 1);
+        previous = word;
+        total++;
+      }
+      bigrams.set(`${previous} $`, (bigrams.get(`${previous} $`) || 0) + 1);
+    }
+  }
+  return { unigrams, bigrams, total, sentences };
+}
+
+/** Smoothed log-probability of one word, ignoring context. */
+function scoreWord(word, model) {
+  return Math.log(((model.unigrams.get(word) || 0) + 1) / (model.total + model.unigrams.size + 1));
+}
+
+/** Log-probability of a reading under the word model, mixing word-pair and single-word counts. */
+function scoreReading(text, model) {
+  let score = 0;
+  for (const words of sentenceWords(text)) {
+    let previous = '^';
+    for (const word of words) {
+      const context = previous === '^' ? model.sentences : model.unigrams.get(previous) || 0;
+      const bigram = context ? (model.bigrams.get(`${previous} ${word}`) || 0) / context : 0;
+      const unigram = Math.exp(scoreWord(word, model));
+      score += Math.log(SOLVER_BIGRAM_WEIGHT * bigram + (1 - SOLVER_BIGRAM_WEIGHT) * unigram);
+      previous = word;
+    }
+  }
+  return score;
+}
+
+/** Whether the model has seen every word that differs from the quote next to the same neighbour
+ *  on at least one side. Without that, a reading built from common words can outscore an unusual
+ *  quote purely on word counts.
+ */
+function hasContextSupport(reading, plaintext, model) {
+  const readingSentences = sentenceWords(reading);
+  const plainSentences = sentenceWords(plaintext);
+  return readingSentences.every((words, s) => words.every((word, i) => {
+    if (word === plainSentences[s][i]) return true;
+    const previous = i > 0 ? words[i - 1] : '^';
+    const next = i < words.length - 1 ? words[i + 1] : '$';
+    return model.bigrams.has(`${previous} ${word}`) || model.bigrams.has(`${word} ${next}`);
+  }));
+}
+
+/** Apply a cipher-to-plain letter map, leaving everything else in place. */
+function applyMapping(text, mapping) {
+  return text.replace(/[A-Z]/g, (letter) => mapping.get(letter) || '?');
+}
+
+/** Count the letters at which two readings of the same text differ. */
+function countDifferences(a, b) {
+  let differences = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) differences++;
+  }
+  return differences;
+}
+
+/** Solve an Aristocrat by fitting dictionary words to every cipher word at once, always branching on
+ *  the word with the fewest words that still fit. No letter may stand for itself. Returns up to
+ *  maxSolutions distinct plaintexts that pass accept and whether the search ran to the end.
+ */
+function solveAristocrat(ciphertext, dictionary, { stepLimit = SOLVER_STEP_LIMIT, maxSolutions = 2, accept = () => true } = {}) {
+  const index = dictionary instanceof Map ? dictionary : buildPatternIndex(dictionary);
+  const text = ciphertext.toUpperCase();
+  const cipherWords = [...new Set(textWords(text))];
+  const candidates = cipherWords.map((word) => index.get(letterPattern(word)) || []);
+  const mapping = new Map();
+  const used = new Map();
+  const solutions = [];
+  let steps = 0;
+
+  const fits = (cipher, plain) => {
+    for (let i = 0; i < cipher.length; i++) {
+      if (cipher[i] === plain[i]) return false;
+      if (mapping.has(cipher[i]) ? mapping.get(cipher[i]) !== plain[i] : used.has(plain[i])) return false;
+    }
+    return true;
+  };
+  const stopped = () => steps > stepLimit || solutions.length >= maxSolutions;
+
+  const search = (remaining) => {
+    steps++;
+    if (stopped()) return;
+    if (remaining.length === 0) {
+      const solution = applyMapping(text, mapping);
+      if (accept(solution)) solutions.push(solution);
+      return;
+    }
+
+    let branch = null;
+    for (const i of remaining) {
+      const fitting = candidates[i].filter((plain) => fits(cipherWords[i], plain));
+      if (fitting.length === 0) return;
+      if (!branch || fitting.length < branch.fitting.length) branch = { i, fitting };
+    }
+
+    const cipher = cipherWords[branch.i];
+    const rest = remaining.filter((i) => i !== branch.i);
+    for (const plain of branch.fitting) {
+      const added = [];
+      for (let k = 0; k < cipher.length; k++) {
+        if (!mapping.has(cipher[k])) {
+          mapping.set(cipher[k], plain[k]);
+          used.set(plain[k], cipher[k]);
+          added.push(cipher[k]);
+        }
+      }
+      search(rest);
+      for (const letter of added) {
+        used.delete(mapping.get(letter));
+        mapping.delete(letter);
+      }
+      if (stopped()) return;
+    }
+  };
+
+  search(cipherWords.map((_, i) => i));
+  return { solutions, finished: !stopped(), steps };
+}
+
+/** Split a run of letters into dictionary words, taking the split the word model likes best, or
+ *  return null if it can't be done.
+ */
+function segmentLetters(letters, wordSet, model) {
+  const maxLength = Math.max(...[...wordSet].map((word) => word.length));
+  const best = new Array(letters.length + 1).fill(-Infinity);
+  const split = new Array(letters.length + 1).fill(-1);
+  best[0] = 0;
+  for (let end = 1; end <= letters.length; end++) {
+    for (let start = Math.max(0, end - maxLength); start < end; start++) {
+      const word = letters.slice(start, end);
+      if (best[start] === -Infinity || !wordSet.has(word)) continue;
+      const score = best[start] + scoreWord(word, model);
+      if (score > best[end]) {
+        best[end] = score;
+        split[end] = start;
+      }
+    }
+  }
+  if (split[letters.length] === -1) return null;
+
+  const words = [];
+  for (let end = letters.length; end > 0; end = split[end]) {
+    words.unshift(letters.slice(split[end], end));
+  }
+  return words;
+}
+
+/** Letters used only once that could be an unused letter and still read about as well once the
+ *  word breaks are gone. A Patristocrat solver has nothing to tell such pairs apart.
+ */
+function findSingletonSwaps(letters, wordSet, model) {
+  const counts = {};
+  for (const letter of letters) counts[letter] = (counts[letter] || 0) + 1;
+  const unused = [...SOLVER_ALPHABET].filter((letter) => !counts[letter]);
+  const original = segmentLetters(letters, wordSet, model);
+  const baseline = scoreReading(original.join(' '), model);
+
+  const swaps = [];
+  for (const letter of Object.keys(counts).filter((key) => counts[key] === 1)) {
+    for (const replacement of unused) {
+      const reading = segmentLetters(letters.replace(letter, replacement), wordSet, model);
+      if (reading && scoreReading(reading.join(' '), model) >= baseline - SOLVER_PLAUSIBILITY_MARGIN) {
+        swaps.push({ from: letter, to: replacement, reading: reading.join(' ') });
+      }
+    }
+  }
+  return swaps;
+}
+
+/** Check one quote as one cipher type against a word model of other English text. status is 'ok',
+ *  'ambiguous', 'unsolvable', 'unverified' (the search budget ran out) or 'skipped' (a type the
+ *  solver can't check), with a reason.
+ */
+function checkQuote(quote, type, dictionary, model, options = {}) {
+  if (!SOLVER_TYPES.includes(type)) {
+    return { status: 'skipped', reason: `The solver only checks ${SOLVER_TYPES.join(' and ')} ciphers` };
+  }
+
+  // The quote's own words are always in the dictionary, so its true reading is always found
+  const words = textWords(quote.quote);
+  const wordList = [...new Set([...dictionary.map((word) => word.toUpperCase()), ...words])];
+  const plaintext = quote.quote.toUpperCase();
+  // Rotating by 13 moves every letter, like any Aristocrat key, and hides the answer from the solver
+  const ciphertext = plaintext.replace(/[A-Z]/g, (letter) => SOLVER_ALPHABET[(SOLVER_ALPHABET.indexOf(letter) + 13) % 26]);
+  // Only readings far enough from the quote to cost points, and about as plausible, count
+  const baseline = scoreReading(plaintext, model);
+  const isAlternative = (solution) => countDifferences(solution, plaintext) > SOLVER_ERROR_ALLOWANCE &&
+    scoreReading(solution, model) >= baseline - SOLVER_PLAUSIBILITY_MARGIN &&
+    hasContextSupport(solution, plaintext, model);
+  const result = solveAristocrat(ciphertext, wordList, {
+    ...options,
+    accept: (solution) => solution === plaintext || isAlternative(solution)
+  });
+
+  // Hiding the word breaks can only add readings, so an ambiguous Aristocrat is an ambiguous Patristocrat
+  const others = result.solutions.filter((solution) => solution !== plaintext);
+  if (others.length > 0) {
+    return {
+      status: 'ambiguous',
+      reason: `Another plausible reading fits the word patterns, ${countDifferences(others[0], plaintext)} letters apart`,
+      alternatives: others
+    };
+  }
+
+  if (type === 'patristocrat') {
+    const letters = words.join('');
+    if (letters.length < PATRISTOCRAT_MIN_LETTERS) {
+      return { status: 'unsolvable', reason: `Only ${letters.length} letters, too few to attack without word breaks` };
+    }
+    const swaps = findSingletonSwaps(letters, new Set(wordList), model);
+    if (new Set(swaps.map((swap) => swap.from)).size > SOLVER_ERROR_ALLOWANCE) {
+      return {
+        status: 'ambiguous',
+        reason: `Letters used once can be swapped: ${swaps.map((swap) => `${swap.from}→${swap.to}`).join(', ')}`,
+        alternatives: swaps.map((swap) => swap.reading)
+      };
+    }
+  }
+
+  if (!result.finished) {
+    return { status: 'unverified', reason: `The search stopped after ${result.steps} steps` };
+  }
+  return { status: 'ok', reason: 'Exactly one plausible reading' };
+}
+
+/** Check every quote in a codebustersQuotes.json object as each cipher type it is tagged with,
+ *  scoring readings against a word model of all the other quotes.
+ */
+function checkQuoteBank(data, options = {}) {
+  const dictionary = data.dictionary || [];
+  const results = [];
+  data.quotes.forEach((quote, index) => {
+    const model = buildWordModel(data.quotes.filter((other) => other !== quote).map((other) => other.quote));
+    for (const type of quote.cipherTypes || []) {
+      results.push({ index, type, quote: quote.quote, ...checkQuote(quote, type, dictionary, model, options) });
+    }
+  });
+  return results;
+}
+
+/** Command line report: one line per problem, then a summary. Exits with 1 if anything is flagged. */
+function runQuoteBankReport(path) {
+  const fs = require('fs');
+  const data = JSON.parse(fs.readFileSync(path, 'utf8'));
+  const results = checkQuoteBank(data);
+  const totals = {};
+
+  for (const result of results) {
+    totals[result.status] = (totals[result.status] || 0) + 1;
+    if (result.status === 'ok' || result.status === 'skipped') continue;
+
+    const excerpt = result.quote.length > 50 ? `${result.quote.slice(0, 50)}…` : result.quote;
+    console.log(`#${result.index} ${result.type} ${result.status.toUpperCase()}: "${excerpt}"`);
+    console.log(`    ${result.reason}`);
+    if (result.alternatives) console.log(`    e.g. ${result.alternatives[0]}`);
+  }
+
+  console.log(`\nChecked ${results.length} quote/cipher combinations: ` +
+    Object.entries(totals).map(([status, count]) => `${count} ${status}`).join(', '));
+  if (totals.ambiguous || totals.unsolvable) process.exitCode = 1;
+}
+
+// Export in environment where module is available. Otherwise attach to global.
+const quoteSolver = {
+  letterPattern,
+  buildPatternIndex,
+  buildWordModel,
+  scoreReading,
+  solveAristocrat,
+  segmentLetters,
+  findSingletonSwaps,
+  checkQuote,
+  checkQuoteBank,
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = quoteSolver;
+  if (require.main === module) {
+    runQuoteBankReport(process.argv[2] || require('path').join(__dirname, 'codebustersQuotes.json'));
+  }
+} else if (typeof window !== 'undefined') {
+  window.quoteSolver = quoteSolver;
+} else if (typeof globalThis !== 'undefined') {
+  globalThis.quoteSolver = quoteSolver;
+}
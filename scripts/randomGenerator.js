@@ -1,6 +1,7 @@
 /* randomGenerator.js
- * Utility functions for random numbers, letters, strings, weights, ranges, and shuffling.
+ * Utility functions for random numbers, letters, strings, weights, ranges, shuffling, and distributions.
  * Usage: include script and call functions directly (or add export in module builds if needed).
+ * For reproducible output, createSeededGenerator(seed) returns the same API bound to a seeded PRNG.
  */
 
 /** Normalize min/max and ensure min <= max. */
@@ -14,66 +15,10 @@ function normalizeRange(min = 0, max = 1) {
   return { min, max };
 }
 
-/** Random float in [min, max) (or [min,max] when includeMax true) */
-function randomFloat(min = 0, max = 1, { step = null, includeMax = false } = {}) {
-  const range = normalizeRange(min, max);
-  const span = range.max - range.min;
-  const raw = Math.random() * span + range.min;
-  const value = includeMax ? Math.min(raw, range.max) : Math.min(raw, Math.nextAfter ? Math.nextAfter(range.max, -Infinity) : Number.MAX_VALUE);
-
-  if (step != null) {
-    const s = Number(step);
-    if (!(s > 0)) throw new TypeError('step must be positive');
-    const normalized = Math.round((value - range.min) / s) * s + range.min;
-    return Math.min(range.max, Math.max(range.min, normalized));
-  }
-  return value;
-}
-
-/** Random integer in [min,max] inclusive */
-function randomInt(min = 0, max = 1) {
-  const r = normalizeRange(min, max);
-  return Math.floor(Math.random() * (r.max - r.min + 1)) + r.min;
-}
-
-/** Random number in range with optional divisions or step.
- *  divisions: number of equal segments; e.g., divisions=10 -> increments of span/10.
- *  step: explicit granularity value.
+/** Parse weighted input (array of values, object map values->weights, or array of { value, weight })
+ *  into { value, weight } items, checking the weights.
  */
-function randomInRange(min = 0, max = 1, { divisions = null, step = null, includeMax = false } = {}) {
-  const r = normalizeRange(min, max);
-  if (step != null && divisions != null) {
-    throw new Error('Use either divisions or step, not both');
-  }
-  if (divisions != null) {
-    const d = Number(divisions);
-    if (!(d > 0 && Number.isInteger(d))) throw new TypeError('divisions must be a positive integer');
-    const scale = (r.max - r.min) / d;
-    return randomFloat(r.min, r.max, { step: scale, includeMax });
-  }
-  if (step != null) {
-    return randomFloat(r.min, r.max, { step, includeMax });
-  }
-  return includeMax ? Math.random() * (r.max - r.min) + r.min : randomFloat(r.min, r.max, { includeMax: false });
-}
-
-/** Random boolean with optional probability of true. */
-function randomBool(trueProbability = 0.5) {
-  const p = Number(trueProbability);
-  if (Number.isNaN(p) || p < 0 || p > 1) throw new TypeError('trueProbability must be between 0 and 1');
-  return Math.random() < p;
-}
-
-/** Random choice from an array. */
-function randomChoice(array) {
-  if (!Array.isArray(array) || array.length === 0) throw new TypeError('array must be a non-empty array');
-  return array[randomInt(0, array.length - 1)];
-}
-
-/** Weighted choice: accepts array of values, object map values->weights, or array of { value, weight }.
- *  Returns one selected value.
- */
-function randomWeightedChoice(source) {
+function toWeightedItems(source) {
   let items;
 
   if (Array.isArray(source)) {
@@ -89,105 +34,427 @@ function randomWeightedChoice(source) {
     throw new TypeError('source must be array or object');
   }
 
-  const totalWeight = items.reduce((sum, item) => {
-    if (!Number.isFinite(item.weight) || item.weight < 0) throw new TypeError('weights must be non-negative numbers');
-    return sum + item.weight;
-  }, 0);
-
-  if (totalWeight <= 0) throw new Error('total weight must be > 0');
-
-  let r = Math.random() * totalWeight;
   for (const item of items) {
-    r -= item.weight;
-    if (r < 0) return item.value;
+    if (!Number.isFinite(item.weight) || item.weight < 0) throw new TypeError('weights must be non-negative numbers');
   }
+  return items;
+}
 
-  return items[items.length - 1].value;
+/** Check a distribution parameter is a finite number, coercing like normalizeRange. */
+function toFiniteNumber(value, name) {
+  const number = Number(value);
+  if (!Number.isFinite(number)) throw new TypeError(`${name} must be numeric`);
+  return number;
 }
 
-/** Generate random alphabet letter (optionally uppercase/lowercase). */
-function randomLetter({ uppercase = false, lowercase = false } = {}) {
-  if (uppercase && lowercase) throw new Error('choose either uppercase or lowercase, not both');
-  const letter = String.fromCharCode(65 + randomInt(0, 25));
-  if (lowercase) return letter.toLowerCase();
-  if (uppercase) return letter;
-  return Math.random() < 0.5 ? letter : letter.toLowerCase();
+/** Cryptographically secure random bytes: Node's crypto module when loaded through module.exports,
+ *  otherwise crypto.getRandomValues.
+ */
+function secureRandomBytes(length) {
+  const bytes = new Uint8Array(length);
+  if (typeof module !== 'undefined' && module.exports && typeof require === 'function') {
+    require('crypto').randomFillSync(bytes);
+    return bytes;
+  }
+  const webCrypto = typeof globalThis !== 'undefined' ? globalThis.crypto : undefined;
+  if (!webCrypto || typeof webCrypto.getRandomValues !== 'function') {
+    throw new Error('no secure random source available');
+  }
+  // getRandomValues fills at most 65536 bytes per call
+  for (let offset = 0; offset < length; offset += 65536) {
+    webCrypto.getRandomValues(bytes.subarray(offset, offset + 65536));
+  }
+  return bytes;
 }
 
-/** Generate random string.
- * options:
- *  - length: number
- *  - charset: 'alphanumeric'|'alpha'|'numeric'|'hex'|'base64'|'custom'
- *  - customCharset: string (if charset='custom')
- *  - uppercase/lowercase flags for alpha
+/** count unbiased secure integers in [0, n). 32-bit values at or above the largest multiple of n
+ *  are rejected and redrawn, so no index is favoured the way a bare modulo would.
  */
-function randomString(length = 16, options = {}) {
-  const len = Number(length);
-  if (!Number.isInteger(len) || len < 0) throw new TypeError('length must be a non-negative integer');
-
-  const charset = options.charset || 'alphanumeric';
-  let chars = '';
-
-  switch (charset) {
-    case 'alphanumeric':
-      chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-      break;
-    case 'alpha':
-      chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
-      break;
-    case 'numeric':
-      chars = '0123456789';
-      break;
-    case 'hex':
-      chars = '0123456789abcdef';
-      break;
-    case 'base64':
-      chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
-      break;
-    case 'custom':
-      if (!options.customCharset) throw new Error('customCharset required when charset=custom');
-      chars = String(options.customCharset);
-      break;
-    default:
-      throw new Error('Unsupported charset: ' + charset);
-  }
-
-  let result = '';
-  for (let i = 0; i < len; i += 1) {
-    result += chars[randomInt(0, chars.length - 1)];
+function secureRandomIndices(count, n) {
+  if (!Number.isInteger(n) || n < 1 || n > 0x100000000) throw new RangeError('n must be an integer between 1 and 2^32');
+  const limit = 0x100000000 - (0x100000000 % n);
+  const result = [];
+  while (result.length < count) {
+    const values = new Uint32Array(secureRandomBytes(4 * (count - result.length)).buffer);
+    for (const value of values) {
+      if (value < limit) result.push(value % n);
+    }
   }
   return result;
 }
 
-/** Random date between start and end (Date/number strings) */
-function randomDate(start = new Date(1970, 0, 1), end = new Date()) {
-  const startTime = new Date(start).getTime();
-  const endTime = new Date(end).getTime();
-  if (!Number.isFinite(startTime) || !Number.isFinite(endTime)) throw new TypeError('start and end must be valid dates');
-  const { min, max } = normalizeRange(startTime, endTime);
-  return new Date(randomInt(min, max));
+/** Random version 4 UUID (RFC 4122) from secure random bytes. */
+function randomUUID() {
+  const bytes = secureRandomBytes(16);
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
 }
 
-/** Fisher-Yates shuffle (mutates in-place and returns array). */
-function shuffle(array) {
-  if (!Array.isArray(array)) throw new TypeError('array must be an array');
-  for (let i = array.length - 1; i > 0; i -= 1) {
-    const j = randomInt(0, i);
-    [array[i], array[j]] = [array[j], array[i]];
+/** Secure ID using only URL-safe characters (A-Z, a-z, 0-9, '_' and '-'). */
+function urlSafeId(length = 21) {
+  const len = Number(length);
+  if (!Number.isInteger(len) || len < 1) throw new TypeError('length must be a positive integer');
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789_-';
+  return secureRandomIndices(len, chars.length).map((index) => chars[index]).join('');
+}
+
+/** mulberry32 PRNG: returns floats in [0, 1) from a 32-bit state, with getState/setState. */
+function mulberry32(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  next.getState = () => state;
+  next.setState = (value) => {
+    state = value >>> 0;
+  };
+  return next;
+}
+
+/** Turn a numeric or string seed into a 32-bit integer (FNV-1a for strings and non-integers). */
+function hashSeed(seed) {
+  if (typeof seed === 'number' && Number.isInteger(seed)) return seed >>> 0;
+  if (typeof seed !== 'number' && typeof seed !== 'string') throw new TypeError('seed must be a number or string');
+  const text = String(seed);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/** Build the generator API around a source of uniform floats in [0, 1) (Math.random by default). */
+function createRandomGenerator(next = Math.random) {
+  if (typeof next !== 'function') throw new TypeError('next must be a function returning numbers in [0, 1)');
+
+  /** Random float in [min, max) (or [min,max] when includeMax true) */
+  function randomFloat(min = 0, max = 1, { step = null, includeMax = false } = {}) {
+    const range = normalizeRange(min, max);
+    const span = range.max - range.min;
+    const raw = next() * span + range.min;
+    const value = includeMax ? Math.min(raw, range.max) : Math.min(raw, Math.nextAfter ? Math.nextAfter(range.max, -Infinity) : Number.MAX_VALUE);
+
+    if (step != null) {
+      const s = Number(step);
+      if (!(s > 0)) throw new TypeError('step must be positive');
+      const normalized = Math.round((value - range.min) / s) * s + range.min;
+      return Math.min(range.max, Math.max(range.min, normalized));
+    }
+    return value;
+  }
+
+  /** Random integer in [min,max] inclusive */
+  function randomInt(min = 0, max = 1) {
+    const r = normalizeRange(min, max);
+    return Math.floor(next() * (r.max - r.min + 1)) + r.min;
+  }
+
+  /** Random number in range with optional divisions or step.
+   *  divisions: number of equal segments; e.g., divisions=10 -> increments of span/10.
+   *  step: explicit granularity value.
+   */
+  function randomInRange(min = 0, max = 1, { divisions = null, step = null, includeMax = false } = {}) {
+    const r = normalizeRange(min, max);
+    if (step != null && divisions != null) {
+      throw new Error('Use either divisions or step, not both');
+    }
+    if (divisions != null) {
+      const d = Number(divisions);
+      if (!(d > 0 && Number.isInteger(d))) throw new TypeError('divisions must be a positive integer');
+      const scale = (r.max - r.min) / d;
+      return randomFloat(r.min, r.max, { step: scale, includeMax });
+    }
+    if (step != null) {
+      return randomFloat(r.min, r.max, { step, includeMax });
+    }
+    return includeMax ? next() * (r.max - r.min) + r.min : randomFloat(r.min, r.max, { includeMax: false });
+  }
+
+  /** Random boolean with optional probability of true. */
+  function randomBool(trueProbability = 0.5) {
+    const p = Number(trueProbability);
+    if (Number.isNaN(p) || p < 0 || p > 1) throw new TypeError('trueProbability must be between 0 and 1');
+    return next() < p;
+  }
+
+  /** Random choice from an array. */
+  function randomChoice(array) {
+    if (!Array.isArray(array) || array.length === 0) throw new TypeError('array must be a non-empty array');
+    return array[randomInt(0, array.length - 1)];
+  }
+
+  /** Weighted choice: accepts array of values, object map values->weights, or array of { value, weight }.
+   *  Returns one selected value.
+   */
+  function randomWeightedChoice(source) {
+    const items = toWeightedItems(source);
+    const totalWeight = items.reduce((sum, item) => sum + item.weight, 0);
+
+    if (totalWeight <= 0) throw new Error('total weight must be > 0');
+
+    let r = next() * totalWeight;
+    for (const item of items) {
+      r -= item.weight;
+      if (r < 0) return item.value;
+    }
+
+    return items[items.length - 1].value;
+  }
+
+  /** Generate random alphabet letter (optionally uppercase/lowercase). */
+  function randomLetter({ uppercase = false, lowercase = false } = {}) {
+    if (uppercase && lowercase) throw new Error('choose either uppercase or lowercase, not both');
+    const letter = String.fromCharCode(65 + randomInt(0, 25));
+    if (lowercase) return letter.toLowerCase();
+    if (uppercase) return letter;
+    return next() < 0.5 ? letter : letter.toLowerCase();
+  }
+
+  /** Generate random string.
+   * options:
+   *  - length: number
+   *  - charset: 'alphanumeric'|'alpha'|'numeric'|'hex'|'base64'|'custom'
+   *  - customCharset: string (if charset='custom')
+   *  - uppercase/lowercase flags for alpha
+   *  - secure: true draws from crypto with rejection sampling (never seeded), for tokens and IDs
+   */
+  function randomString(length = 16, options = {}) {
+    const len = Number(length);
+    if (!Number.isInteger(len) || len < 0) throw new TypeError('length must be a non-negative integer');
+
+    const charset = options.charset || 'alphanumeric';
+    let chars = '';
+
+    switch (charset) {
+      case 'alphanumeric':
+        chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+        break;
+      case 'alpha':
+        chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+        break;
+      case 'numeric':
+        chars = '0123456789';
+        break;
+      case 'hex':
+        chars = '0123456789abcdef';
+        break;
+      case 'base64':
+        chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+        break;
+      case 'custom':
+        if (!options.customCharset) throw new Error('customCharset required when charset=custom');
+        chars = String(options.customCharset);
+        break;
+      default:
+        throw new Error('Unsupported charset: ' + charset);
+    }
+
+    if (options.secure) {
+      return secureRandomIndices(len, chars.length).map((index) => chars[index]).join('');
+    }
+
+    let result = '';
+    for (let i = 0; i < len; i += 1) {
+      result += chars[randomInt(0, chars.length - 1)];
+    }
+    return result;
+  }
+
+  /** Random date between start and end (Date/number strings) */
+  function randomDate(start = new Date(1970, 0, 1), end = new Date()) {
+    const startTime = new Date(start).getTime();
+    const endTime = new Date(end).getTime();
+    if (!Number.isFinite(startTime) || !Number.isFinite(endTime)) throw new TypeError('start and end must be valid dates');
+    const { min, max } = normalizeRange(startTime, endTime);
+    return new Date(randomInt(min, max));
+  }
+
+  /** Fisher-Yates shuffle (mutates in-place and returns array). */
+  function shuffle(array) {
+    if (!Array.isArray(array)) throw new TypeError('array must be an array');
+    for (let i = array.length - 1; i > 0; i -= 1) {
+      const j = randomInt(0, i);
+      [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+  }
+
+  /** Sample k unique items from array (without replacement).
+   *  weights: optional array of non-negative weights, one per item, for weighted sampling.
+   */
+  function sample(array, k = 1, { weights = null } = {}) {
+    if (!Array.isArray(array)) throw new TypeError('array must be an array');
+    if (weights != null) {
+      if (!Array.isArray(weights) || weights.length !== array.length) throw new TypeError('weights must be an array matching array length');
+      return sampleWeighted(array.map((value, i) => ({ value, weight: weights[i] })), k);
+    }
+    const n = array.length;
+    if (!Number.isInteger(k) || k < 1 || k > n) throw new RangeError('k must be between 1 and array length');
+    const copy = array.slice();
+    shuffle(copy);
+    return copy.slice(0, k);
+  }
+
+  /** Weighted sample of k unique values without replacement. Accepts the same source formats as
+   *  randomWeightedChoice; each pick is removed before the next, so heavier values tend to come first.
+   */
+  function sampleWeighted(source, k = 1) {
+    const items = toWeightedItems(source).filter((item) => item.weight > 0);
+    if (!Number.isInteger(k) || k < 1 || k > items.length) throw new RangeError('k must be between 1 and the number of positive-weight items');
+
+    const picked = [];
+    let totalWeight = items.reduce((sum, item) => sum + item.weight, 0);
+    for (let count = 0; count < k; count += 1) {
+      let r = next() * totalWeight;
+      let index = items.length - 1;
+      for (let i = 0; i < items.length; i += 1) {
+        r -= items[i].weight;
+        if (r < 0) {
+          index = i;
+          break;
+        }
+      }
+      const [item] = items.splice(index, 1);
+      totalWeight -= item.weight;
+      picked.push(item.value);
+    }
+    return picked;
+  }
+
+  /** Normal (Gaussian) sample via the Box-Muller transform. */
+  function randomNormal(mean = 0, stdDev = 1) {
+    mean = toFiniteNumber(mean, 'mean');
+    stdDev = toFiniteNumber(stdDev, 'stdDev');
+    if (stdDev < 0) throw new RangeError('stdDev must be non-negative');
+    // 1 - next() is in (0, 1], keeping log() finite
+    const u1 = 1 - next();
+    const u2 = next();
+    return mean + stdDev * Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+  }
+
+  /** Exponential sample with the given rate (mean 1 / rate). */
+  function randomExponential(rate = 1) {
+    rate = toFiniteNumber(rate, 'rate');
+    if (!(rate > 0)) throw new RangeError('rate must be positive');
+    return -Math.log(1 - next()) / rate;
+  }
+
+  /** Poisson count with mean lambda (Knuth's method, in chunks so large means don't underflow). */
+  function randomPoisson(lambda = 1) {
+    lambda = toFiniteNumber(lambda, 'lambda');
+    if (lambda < 0) throw new RangeError('lambda must be non-negative');
+
+    let count = 0;
+    let remaining = lambda;
+    while (remaining > 0) {
+      const chunk = Math.min(remaining, 500);
+      remaining -= chunk;
+      const limit = Math.exp(-chunk);
+      let product = next();
+      while (product > limit) {
+        count += 1;
+        product *= next();
+      }
+    }
+    return count;
+  }
+
+  /** Binomial count of successes in n trials with success probability p. */
+  function randomBinomial(n = 1, p = 0.5) {
+    n = toFiniteNumber(n, 'n');
+    p = toFiniteNumber(p, 'p');
+    if (!Number.isInteger(n) || n < 0) throw new RangeError('n must be a non-negative integer');
+    if (p < 0 || p > 1) throw new RangeError('p must be between 0 and 1');
+
+    let successes = 0;
+    for (let i = 0; i < n; i += 1) {
+      if (next() < p) successes += 1;
+    }
+    return successes;
   }
-  return array;
+
+  /** Sample from an empirical distribution given as a histogram.
+   *  Bins as [{ min, max, count }] give a value uniform within a bin chosen by count;
+   *  any randomWeightedChoice source (e.g. { value: count }) gives one of its values.
+   */
+  function randomEmpirical(histogram) {
+    const isBinned = Array.isArray(histogram) && histogram.length > 0 && histogram.every(
+      (bin) => bin && typeof bin === 'object' && 'min' in bin && 'max' in bin && 'count' in bin
+    );
+    if (!isBinned) return randomWeightedChoice(histogram);
+
+    const bins = histogram.map((bin) => ({ ...normalizeRange(bin.min, bin.max), count: bin.count }));
+    const bin = randomWeightedChoice(bins.map((value) => ({ value, weight: value.count })));
+    return bin.min + next() * (bin.max - bin.min);
+  }
+
+  return {
+    normalizeRange,
+    randomFloat,
+    randomInt,
+    randomInRange,
+    randomBool,
+    randomChoice,
+    randomWeightedChoice,
+    randomLetter,
+    randomString,
+    randomDate,
+    shuffle,
+    sample,
+    sampleWeighted,
+    randomNormal,
+    randomExponential,
+    randomPoisson,
+    randomBinomial,
+    randomEmpirical,
+  };
 }
 
-/** Sample k unique items from array (without replacement). */
-function sample(array, k = 1) {
-  if (!Array.isArray(array)) throw new TypeError('array must be an array');
-  const n = array.length;
-  if (!Number.isInteger(k) || k < 1 || k > n) throw new RangeError('k must be between 1 and array length');
-  const copy = array.slice();
-  shuffle(copy);
-  return copy.slice(0, k);
+/** Generator with the same API whose output is fully determined by the seed.
+ *  getState()/setState(state) save and restore the position in the sequence.
+ */
+function createSeededGenerator(seed = Date.now()) {
+  const source = mulberry32(hashSeed(seed));
+  const generator = createRandomGenerator(source);
+
+  generator.seed = seed;
+  generator.getState = () => source.getState();
+  generator.setState = (state) => {
+    if (!Number.isInteger(state) || state < 0 || state > 0xffffffff) throw new TypeError('state must be a 32-bit unsigned integer');
+    source.setState(state);
+    return generator;
+  };
+  return generator;
 }
 
+// Default generator backed by Math.random; its functions stay callable directly when the script is included
+const {
+  randomFloat,
+  randomInt,
+  randomInRange,
+  randomBool,
+  randomChoice,
+  randomWeightedChoice,
+  randomLetter,
+  randomString,
+  randomDate,
+  shuffle,
+  sample,
+  sampleWeighted,
+  randomNormal,
+  randomExponential,
+  randomPoisson,
+  randomBinomial,
+  randomEmpirical,
+} = createRandomGenerator(Math.random);
+
 // Export in environment where module is available. Otherwise attach to global.
 const randomGenerator = {
   normalizeRange,
@@ -202,6 +469,17 @@ const randomGenerator = {
   randomDate,
   shuffle,
   sample,
+  sampleWeighted,
+  randomNormal,
+  randomExponential,
+  randomPoisson,
+  randomBinomial,
+  randomEmpirical,
+  randomUUID,
+  urlSafeId,
+  mulberry32,
+  createRandomGenerator,
+  createSeededGenerator,
 };
 
 if (typeof module !== 'undefined' && module.exports) {